@@ -5,6 +5,8 @@
  * ========================= */
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const express = require('express');
 const axios = require('axios');
 const cors = require('cors');
@@ -15,6 +17,18 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Time source for everything the engine schedules or compares. The test suite swaps in a
+// fake clock with setClock() so it can step a scenario minute by minute.
+const clock = {
+  now: () => Date.now(),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (timer) => clearInterval(timer),
+};
+
+function setClock(overrides) {
+  Object.assign(clock, overrides);
+}
+
 /* =========================
  * Config
  * ========================= */
@@ -29,19 +43,186 @@ const BACKGROUND_POLL_MS = parseInt(process.env.BACKGROUND_POLL_MS || (15 * 60 *
 const SEARCH_TIMEOUT_MS = parseInt(process.env.SEARCH_TIMEOUT_MS || (48 * 60 * 60 * 1000), 10); // 48 hours
 const DEFAULT_IF_SERVER = (process.env.DEFAULT_IF_SERVER || 'Expert Server').trim();
 const DEFAULT_CALLBACK_URL = (process.env.TRACK_CALLBACK_URL || '').trim();
-const TRACK_LOG = process.env.TRACK_LOG === '1';
 
-// "Landed" heuristics (AGL-based)
+// Logging: JSON lines at LOG_LEVEL and above. TRACK_LOG=1 still works and means debug.
+const LOG_LEVEL = (process.env.LOG_LEVEL || (process.env.TRACK_LOG === '1' ? 'debug' : 'info')).trim().toLowerCase();
+const TRACKER_LOG_LIMIT = parseInt(process.env.TRACKER_LOG_LIMIT || '200', 10); // Lines kept per tracker for /track/:id/logs
+
+// Webhook delivery (signed, retried with exponential backoff, dead-lettered when exhausted)
+const TRACK_WEBHOOK_SECRET = process.env.TRACK_WEBHOOK_SECRET || '';
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+const WEBHOOK_BACKOFF_BASE_MS = parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS || '5000', 10); // 5s, 10s, 20s, ...
+const WEBHOOK_BACKOFF_MAX_MS = parseInt(process.env.WEBHOOK_BACKOFF_MAX_MS || (15 * 60 * 1000), 10); // capped at 15m
+const WEBHOOK_RETRY_TICK_MS = 5000;
+const WEBHOOK_LOG_LIMIT = parseInt(process.env.WEBHOOK_LOG_LIMIT || '50', 10); // Deliveries kept per tracker
+
+// IF API client: retries for temporary failures and a circuit breaker for outages
+const IF_RETRY_ATTEMPTS = parseInt(process.env.IF_RETRY_ATTEMPTS || '3', 10); // Total tries per request
+const IF_RETRY_BASE_MS = parseInt(process.env.IF_RETRY_BASE_MS || '500', 10);
+const IF_RETRY_MAX_MS = parseInt(process.env.IF_RETRY_MAX_MS || '10000', 10); // A longer Retry-After holds the breaker open instead
+const IF_BREAKER_THRESHOLD = parseInt(process.env.IF_BREAKER_THRESHOLD || '5', 10); // Consecutive failed requests to open
+const IF_BREAKER_COOLDOWN_MS = parseInt(process.env.IF_BREAKER_COOLDOWN_MS || '60000', 10); // Open time before a trial request
+
+// IF API cache: fresh-for TTL per endpoint, plus a window in which routes may serve stale data
+const IF_CACHE_TTL_MS = {
+  sessions: parseInt(process.env.IF_CACHE_TTL_SESSIONS_MS || '60000', 10),
+  flights: parseInt(process.env.IF_CACHE_TTL_FLIGHTS_MS || '4000', 10),
+  atc: parseInt(process.env.IF_CACHE_TTL_ATC_MS || '30000', 10),
+  notams: parseInt(process.env.IF_CACHE_TTL_NOTAMS_MS || (5 * 60 * 1000), 10),
+};
+const IF_CACHE_STALE_MS = parseInt(process.env.IF_CACHE_STALE_MS || '30000', 10);
+
+// Virtual airline auto-tracking
+const VA_RULES_FILE = (process.env.VA_RULES_FILE || path.join(__dirname, 'data', 'va-rules.json')).trim();
+const VA_SCAN_MS = parseInt(process.env.VA_SCAN_MS || String(POLL_MS), 10); // How often each rule server is scanned
+
+// Breadcrumb trail
+const TRAIL_MAX_POINTS = parseInt(process.env.TRAIL_MAX_POINTS || '4000', 10); // Stored per tracker before older points are thinned
+
+// Geofences
+const GEOFENCES_FILE = (process.env.GEOFENCES_FILE || path.join(__dirname, 'data', 'geofences.json')).trim();
+
+// ATC coverage: facilities at tracked flights' airports and a watchlist of ICAOs
+const ATC_WATCHLIST_FILE = (process.env.ATC_WATCHLIST_FILE || path.join(__dirname, 'data', 'atc-watchlist.json')).trim();
+const ATC_SCAN_MS = parseInt(process.env.ATC_SCAN_MS || String(IF_CACHE_TTL_MS.atc), 10); // How often watched ICAOs are checked
+const ATC_HISTORY_LIMIT = parseInt(process.env.ATC_HISTORY_LIMIT || '500', 10); // Facility sessions kept
+
+// NOTAM relevance per tracked flight
+const TRACK_NOTAM_CALLBACKS = process.env.TRACK_NOTAM_CALLBACKS === '1'; // Default for per-tracker NOTAM callbacks
+const NOTAM_ROUTE_BUFFER_KM = parseInt(process.env.NOTAM_ROUTE_BUFFER_KM || '10', 10); // Slack around the filed route
+const NOTAM_LOOKAHEAD_MS = parseInt(process.env.NOTAM_LOOKAHEAD_MS || (6 * 60 * 60 * 1000), 10); // End of an active flight's window
+const NOTAM_CHECK_MS = parseInt(process.env.NOTAM_CHECK_MS || '60000', 10); // Airborne re-check interval for callbacks
+
+// Authentication: API keys (sent as "Authorization: Bearer <key>" or "x-api-key") with roles
+const API_KEYS_FILE = (process.env.API_KEYS_FILE || path.join(__dirname, 'data', 'api-keys.json')).trim();
+const ACARS_ADMIN_KEY = (process.env.ACARS_ADMIN_KEY || '').trim(); // Bootstrap admin key, used to issue the first keys
+const AUTH_ANONYMOUS_ROLE = (process.env.AUTH_ANONYMOUS_ROLE || 'none').trim(); // e.g. "viewer" for a public read-only dashboard
+const LINK_TOKEN_TTL_MS = parseInt(process.env.LINK_TOKEN_TTL_MS || (5 * 60 * 1000), 10); // Signed ?token= for streams and downloads
+const LINK_TOKEN_SECRET = (process.env.LINK_TOKEN_SECRET || '').trim(); // Random per process when unset: tokens die with a restart
+
+// Server-Sent Events
+const SSE_KEEPALIVE_MS = 25000; // Comment line sent to keep proxies from closing idle streams
+
+// Airport datasets (runways are optional)
+const AIRPORTS_FILE = (process.env.AIRPORTS_FILE || path.join(__dirname, 'airports.json')).trim();
+const RUNWAYS_FILE = (process.env.RUNWAYS_FILE || path.join(__dirname, 'runways.json')).trim();
+
+// Tracker persistence (JSON file, written atomically via tmp + rename)
+const TRACKER_STORE_FILE = (process.env.TRACKER_STORE_FILE || path.join(__dirname, 'data', 'trackers.json')).trim();
+const TRACKER_SAVE_DEBOUNCE_MS = parseInt(process.env.TRACKER_SAVE_DEBOUNCE_MS || '2000', 10);
+const TRACKER_ROUTINE_SAVE_MS = parseInt(process.env.TRACKER_ROUTINE_SAVE_MS || '60000', 10); // Position-only updates are saved at most this often
+const TRACKER_RETENTION_MS = parseInt(process.env.TRACKER_RETENTION_MS || String(7 * 24 * 60 * 60 * 1000), 10); // Finished trackers are dropped this long after they finish
+
+// "Landed" heuristics (AGL-based). Defaults for the landing check; rules profiles can override them
 const LANDED_ALTITUDE_AGL_FT = 1000; // Max altitude Above Ground Level (AGL)
 const LANDED_SPEED_KT = 40;     // Max ground speed (knots)
 const LANDED_PROXIMITY_KM = 10; // Max distance from an airport center (km)
 
-// In-memory tracker store
+// Searching backoff: poll interval for a missing pilot by time since last seen. The last step has no limit
+const SEARCH_BACKOFF = [
+  { seenWithinMs: 15 * 60 * 1000, pollMs: 2 * 60 * 1000 },     // Recently seen (<15m ago): check again in 2m
+  { seenWithinMs: 6 * 60 * 60 * 1000, pollMs: 15 * 60 * 1000 }, // Seen in the last 6h: check in 15m
+  { pollMs: 60 * 60 * 1000 },                                   // It's been a while: check in 1h
+];
+
+// Rules profiles: named landing/timeout/backoff rules, chosen per tracker or by aircraft
+const RULES_PROFILES_FILE = (process.env.RULES_PROFILES_FILE || path.join(__dirname, 'data', 'rules-profiles.json')).trim();
+
+// Approach & touchdown heuristics
+const APPROACH_POLL_MS = parseInt(process.env.APPROACH_POLL_MS || '5000', 10); // Fast polling while on approach
+const APPROACH_AGL_FT = 3000;           // Below this AGL near an airport, a descending flight is on approach
+const APPROACH_PROXIMITY_KM = 30;       // Max distance from the nearest airport to count as an approach
+const APPROACH_MIN_DESCENT_FPM = -300;  // Must be descending at least this fast to enter the approach
+const TOUCHDOWN_AGL_FT = 50;            // At or below this AGL the aircraft is considered on the ground
+const GO_AROUND_CLIMB_FT = 300;         // Climbing this far above the lowest point of an approach is a go-around
+
+// Flight phase heuristics
+const TRACK_PHASE_CALLBACKS = process.env.TRACK_PHASE_CALLBACKS === '1'; // Default for per-tracker phase callbacks
+const PHASE_CLIMB_VS_FPM = 300;   // Vertical speed beyond which a flight is climbing/descending
+const PHASE_CRUISE_EXIT_VS_FPM = 500; // Larger threshold to leave cruise, so step climbs and turbulence don't flap
+const PHASE_TAKEOFF_AGL_FT = 1500; // A departure counts as "takeoff" until this AGL
+
+// Runway detection (needs the optional runways.json)
+const RUNWAY_LATERAL_TOLERANCE_M = 100; // Max distance from the runway centerline
+const RUNWAY_END_MARGIN_M = 60;         // Slack before the threshold and past the far end
+const RUNWAY_HEADING_TOLERANCE_DEG = 30; // Max difference between ground track and runway heading
+
+// Engine tick: pollOnce runs this often and only polls trackers whose nextPollAt is due
+const TICK_MS = Math.min(POLL_MS, APPROACH_POLL_MS);
+
+// PIREP heuristics
+const AIRBORNE_MIN_SPEED_KT = 60; // Route points at or above this ground speed count as airborne
+const FLIGHT_PLAN_REFRESH_MS = parseInt(process.env.FLIGHT_PLAN_REFRESH_MS || (5 * 60 * 1000), 10); // Re-check for a filed plan every 5m
+const KM_PER_NM = 1.852;
+
+// Pilot identity: trackers match on the IF userId, resolved from the username when not given
+const IF_USERS_FILE = (process.env.IF_USERS_FILE || '').trim(); // Local stand-in for the /users lookup (tests, offline dev)
+const USER_LOOKUP_RETRY_MS = parseInt(process.env.USER_LOOKUP_RETRY_MS || (5 * 60 * 1000), 10); // Retry unresolved usernames this often
+
+// Diversion detection
+const PLAN_ENDPOINT_MATCH_KM = 5; // A plan's first/last waypoint within this distance of an airport is that airport
+
+// In-memory tracker store (mirrored to TRACKER_STORE_FILE, see "Tracker persistence")
 const trackers = new Map(); // id -> tracker
 function newId() {
   try { return require('crypto').randomUUID(); } catch { return 't_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8); }
 }
 
+/* =========================
+ * Logging
+ * =========================
+ * One JSON object per line: { time, level, msg, ...context }. debug and info go to stdout,
+ * warn and error to stderr. Lines about a tracker carry its trackerId, username, userId,
+ * server, sessionId and flightId, and are also kept (at every level, whatever LOG_LEVEL
+ * says) in a ring buffer per tracker served at GET /track/:id/logs. The buffers live in
+ * memory only and start empty after a restart.
+ */
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const LOG_THRESHOLD = LOG_LEVELS[LOG_LEVEL] ?? LOG_LEVELS.info;
+const trackerLogs = new Map(); // trackerId -> [entry], oldest first
+
+function writeLog(level, msg, fields) {
+  const entry = { time: new Date(clock.now()).toISOString(), level, msg };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined && value !== null) entry[key] = value;
+  }
+  if (entry.trackerId) {
+    if (!trackerLogs.has(entry.trackerId)) trackerLogs.set(entry.trackerId, []);
+    const buffer = trackerLogs.get(entry.trackerId);
+    buffer.push(entry);
+    if (buffer.length > TRACKER_LOG_LIMIT) buffer.splice(0, buffer.length - TRACKER_LOG_LIMIT);
+  }
+  if (LOG_LEVELS[level] < LOG_THRESHOLD) return;
+  const line = JSON.stringify(entry);
+  if (level === 'warn' || level === 'error') console.error(line);
+  else console.log(line);
+}
+
+/**
+ * A logger whose lines all carry `getContext()`. It is read on every call, so a tracker
+ * logger picks up the flight it locked onto later.
+ */
+function createLogger(getContext = () => ({})) {
+  const at = (level) => (msg, fields = {}) => writeLog(level, msg, { ...getContext(), ...fields });
+  return { debug: at('debug'), info: at('info'), warn: at('warn'), error: at('error') };
+}
+
+const log = createLogger();
+
+function getTrackerLogContext(t) {
+  return {
+    trackerId: t.id,
+    username: t.username,
+    userId: t.userId,
+    server: t.server,
+    sessionId: t.lastKnownFlight?.sessionId,
+    flightId: t.lastKnownFlight?.flightId,
+  };
+}
+
+const logFor = (t) => createLogger(() => getTrackerLogContext(t));
+
 /* =========================
  * Axios client
  * ========================= */
@@ -58,6 +239,8 @@ const ifClient = axios.create({
  * Airports data (robust loader + normalization)
  * ========================= */
 let airports = [];
+let airportsByIcao = new Map(); // ICAO (upper case) -> airport
+let airportIndex = null;        // 3-d tree over airport positions, see "Airport spatial index"
 
 function normalizeAirport(a) {
   return {
@@ -70,10 +253,103 @@ function normalizeAirport(a) {
   };
 }
 
+/* =========================
+ * Airport spatial index
+ * =========================
+ * A 3-d tree over airports placed on the unit sphere. Straight-line (chord) distance
+ * between unit vectors grows with great-circle distance, so nearest-neighbour and radius
+ * searches on the tree give exact great-circle answers without scanning every airport.
+ */
+const EARTH_RADIUS_KM = 6371;
+
+function toUnitVector(lat, lon) {
+  const phi = (lat * Math.PI) / 180;
+  const lambda = (lon * Math.PI) / 180;
+  return [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)];
+}
+
+function chordDistance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+function chordToKm(chord) {
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, chord / 2));
+}
+
+function kmToChord(km) {
+  return 2 * Math.sin(Math.min(Math.PI / 2, km / (2 * EARTH_RADIUS_KM)));
+}
+
+function buildKdTree(nodes, depth = 0) {
+  if (!nodes.length) return null;
+  const axis = depth % 3;
+  nodes.sort((a, b) => a.v[axis] - b.v[axis]);
+  const mid = nodes.length >> 1;
+  return {
+    airport: nodes[mid].airport,
+    v: nodes[mid].v,
+    axis,
+    left: buildKdTree(nodes.slice(0, mid), depth + 1),
+    right: buildKdTree(nodes.slice(mid + 1), depth + 1),
+  };
+}
+
+function buildAirportIndex() {
+  airportIndex = buildKdTree(airports.map(airport => ({ airport, v: toUnitVector(airport.lat, airport.lon) })));
+}
+
+/**
+ * The `limit` closest airports to a point, nearest first, as [{ airport, distanceKm }].
+ */
+function findNearestAirports(lat, lon, limit = 1) {
+  if (!airportIndex || typeof lat !== 'number' || typeof lon !== 'number') return [];
+  const target = toUnitVector(lat, lon);
+  const best = []; // sorted by chord, at most `limit` long
+
+  const visit = (node) => {
+    if (!node) return;
+    const chord = chordDistance(target, node.v);
+    if (best.length < limit || chord < best[best.length - 1].chord) {
+      let i = best.length;
+      while (i > 0 && best[i - 1].chord > chord) i--;
+      best.splice(i, 0, { airport: node.airport, chord });
+      if (best.length > limit) best.pop();
+    }
+    const diff = target[node.axis] - node.v[node.axis];
+    const [near, far] = diff < 0 ? [node.left, node.right] : [node.right, node.left];
+    visit(near);
+    if (best.length < limit || Math.abs(diff) < best[best.length - 1].chord) visit(far);
+  };
+  visit(airportIndex);
+
+  return best.map(({ airport }) => ({ airport, distanceKm: getDistanceKm(lat, lon, airport.lat, airport.lon) }));
+}
+
+/**
+ * All airports within radiusKm of a point, nearest first, as [{ airport, distanceKm }].
+ */
+function findAirportsWithin(lat, lon, radiusKm) {
+  if (!airportIndex || typeof lat !== 'number' || typeof lon !== 'number') return [];
+  const target = toUnitVector(lat, lon);
+  const maxChord = kmToChord(radiusKm);
+  const found = [];
+
+  const visit = (node) => {
+    if (!node) return;
+    const chord = chordDistance(target, node.v);
+    if (chord <= maxChord) found.push({ airport: node.airport, distanceKm: chordToKm(chord) });
+    const diff = target[node.axis] - node.v[node.axis];
+    if (diff - maxChord <= 0) visit(node.left);
+    if (diff + maxChord >= 0) visit(node.right);
+  };
+  visit(airportIndex);
+
+  return found.sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
 (function loadAirports() {
   try {
-    const filePath = path.join(__dirname, 'airports.json'); // robust path
-    const raw = fs.readFileSync(filePath, 'utf8');
+    const raw = fs.readFileSync(AIRPORTS_FILE, 'utf8');
     const parsed = JSON.parse(raw);
 
     if (Array.isArray(parsed)) {
@@ -87,13 +363,88 @@ function normalizeAirport(a) {
       airports = [];
     }
 
-    console.log(`✅ Loaded ${airports.length} airports (normalized) from airports.json`);
+    airportsByIcao = new Map(airports.map(a => [a.icao.toUpperCase(), a]));
+    buildAirportIndex();
+    log.info('airports loaded', { count: airports.length, file: AIRPORTS_FILE });
   } catch (e) {
-    console.error('❌ Could not load airports.json. Proximity checks will be disabled.', e);
+    log.error('could not load airports, proximity checks are disabled', { file: AIRPORTS_FILE, error: e?.message });
     airports = [];
   }
 })();
 
+/* =========================
+ * Runways data (optional runways.json next to airports.json)
+ * =========================
+ * Accepts either an object keyed by ICAO with one entry per runway end
+ *   { "KLAX": [{ "ident": "25L", "lat": .., "lon": .., "heading_deg": .., "elevation_ft": .., "length_ft": .. }] }
+ * or an array of OurAirports-style rows (airport_ident, le_ident, le_latitude_deg, ..., he_heading_degT).
+ * Each runway end is stored with its threshold position and the heading flown along it.
+ */
+let runwaysByAirport = new Map(); // ICAO (upper case) -> [runway end]
+
+function normalizeRunwayEnd(icao, r) {
+  const lat = Number(r.lat ?? r.latitude);
+  const lon = Number(r.lon ?? r.longitude);
+  const endLat = r.end_lat != null ? Number(r.end_lat) : null;
+  const endLon = r.end_lon != null ? Number(r.end_lon) : null;
+  let heading = r.heading_deg ?? r.heading;
+  if ((heading == null || heading === '') && endLat != null && endLon != null) {
+    heading = getBearingDeg(lat, lon, endLat, endLon);
+  }
+  const lengthFt = Number(r.length_ft);
+  return {
+    airport: String(icao || '').toUpperCase(),
+    ident: String(r.ident || '').toUpperCase(),
+    lat,
+    lon,
+    heading_deg: Number(heading),
+    elevation_ft: r.elevation_ft != null && r.elevation_ft !== '' ? Number(r.elevation_ft) : null,
+    length_m: Number.isFinite(lengthFt) && lengthFt > 0
+      ? lengthFt * 0.3048
+      : (endLat != null && endLon != null ? getDistanceKm(lat, lon, endLat, endLon) * 1000 : null),
+  };
+}
+
+function runwayEndsFromRow(row) {
+  if (row.le_ident != null || row.he_ident != null) {
+    if (row.closed === true || row.closed === 1 || row.closed === '1') return [];
+    const icao = row.airport_ident || row.airport;
+    const le = { ident: row.le_ident, lat: row.le_latitude_deg, lon: row.le_longitude_deg, heading_deg: row.le_heading_degT, elevation_ft: row.le_elevation_ft };
+    const he = { ident: row.he_ident, lat: row.he_latitude_deg, lon: row.he_longitude_deg, heading_deg: row.he_heading_degT, elevation_ft: row.he_elevation_ft };
+    return [
+      normalizeRunwayEnd(icao, { ...le, end_lat: he.lat, end_lon: he.lon, length_ft: row.length_ft }),
+      normalizeRunwayEnd(icao, { ...he, end_lat: le.lat, end_lon: le.lon, length_ft: row.length_ft }),
+    ];
+  }
+  return [normalizeRunwayEnd(row.airport || row.icao, row)];
+}
+
+(function loadRunways() {
+  const filePath = RUNWAYS_FILE;
+  if (!fs.existsSync(filePath)) {
+    log.info('no runway data, runway detection is disabled', { file: filePath });
+    return;
+  }
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const rows = Array.isArray(parsed)
+      ? parsed
+      : Object.entries(parsed || {}).flatMap(([icao, list]) => (Array.isArray(list) ? list : []).map(r => ({ airport: icao, ...r })));
+    const ends = rows.flatMap(runwayEndsFromRow)
+      .filter(r => r.airport && r.ident && Number.isFinite(r.lat) && Number.isFinite(r.lon) && Number.isFinite(r.heading_deg));
+
+    runwaysByAirport = new Map();
+    for (const end of ends) {
+      if (!runwaysByAirport.has(end.airport)) runwaysByAirport.set(end.airport, []);
+      runwaysByAirport.get(end.airport).push(end);
+    }
+    log.info('runways loaded', { runwayEnds: ends.length, airports: runwaysByAirport.size, file: filePath });
+  } catch (e) {
+    log.error('could not load runways, runway detection is disabled', { file: filePath, error: e?.message });
+    runwaysByAirport = new Map();
+  }
+})();
+
 /* =========================
  * Helpers
  * ========================= */
@@ -102,7 +453,7 @@ function normalizeAirport(a) {
  * Calculates the distance between two coordinates in kilometers using the Haversine formula.
  */
 function getDistanceKm(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Radius of the Earth in km
+  const R = EARTH_RADIUS_KM;
   const toRad = (v) => (v * Math.PI) / 180;
   const dLat = toRad(lat2 - lat1);
   const dLon = toRad(lon2 - lon1);
@@ -113,26 +464,33 @@ function getDistanceKm(lat1, lon1, lat2, lon2) {
   return R * c;
 }
 
+/**
+ * Initial great-circle bearing from the first point to the second, in degrees true.
+ */
+function getBearingDeg(lat1, lon1, lat2, lon2) {
+  const toRad = (v) => (v * Math.PI) / 180;
+  const y = Math.sin(toRad(lon2 - lon1)) * Math.cos(toRad(lat2));
+  const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+    Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(toRad(lon2 - lon1));
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+function getAngleDiffDeg(a, b) {
+  const d = Math.abs(((a - b) % 360) + 360) % 360;
+  return d > 180 ? 360 - d : d;
+}
+
 /**
  * Finds the closest airport to a given latitude and longitude.
  */
 function findNearestAirport(lat, lon) {
-  if (!airports.length || typeof lat !== 'number' || typeof lon !== 'number') {
-    return { airport: null, distanceKm: Infinity };
-  }
-
-  let bestAirport = null;
-  let minDistance = Infinity;
+  const [nearest] = findNearestAirports(lat, lon, 1);
+  return nearest || { airport: null, distanceKm: Infinity };
+}
 
-  for (const airport of airports) {
-    const distance = getDistanceKm(lat, lon, airport.lat, airport.lon);
-    if (distance < minDistance) {
-      minDistance = distance;
-      bestAirport = airport;
-    }
-  }
-  
-  return { airport: bestAirport, distanceKm: minDistance };
+function findAirportByIcao(icao) {
+  if (!icao) return null;
+  return airportsByIcao.get(String(icao).trim().toUpperCase()) || null;
 }
 
 function unwrap(data) {
@@ -146,11 +504,348 @@ function err(status, message, extra = {}) {
   return { ok: false, error: { status, message, ...extra } };
 }
 
+/* =========================
+ * Metrics
+ * =========================
+ * Counters and histograms are updated where things happen; gauges are read at scrape
+ * time. GET /metrics renders them all in the Prometheus text format. Durations use
+ * performance.now() rather than `clock`, since they measure real work.
+ */
+const DURATION_BUCKETS_S = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const TRACKER_STATUSES = ['searching', 'tracking', 'landed', 'not_found', 'stopped'];
+const metricFamilies = []; // rendered in definition order
+
+const escapeLabelValue = (v) => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabelValue(v)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * A counter. Series appear on first inc(); `initial` label sets are exported as 0 from
+ * the start, so rate() and absent-series alerts work before anything has happened.
+ */
+function defineCounter(name, help, { initial = [] } = {}) {
+  const series = new Map(); // JSON of labels -> { labels, value }
+  const get = (labels) => {
+    const key = JSON.stringify(labels);
+    if (!series.has(key)) series.set(key, { labels, value: 0 });
+    return series.get(key);
+  };
+  initial.forEach(get);
+  metricFamilies.push({
+    name, help, type: 'counter',
+    render: () => [...series.values()].map(s => `${name}${formatLabels(s.labels)} ${s.value}`),
+  });
+  return { inc: (labels = {}, by = 1) => { get(labels).value += by; } };
+}
+
+function defineHistogram(name, help, buckets = DURATION_BUCKETS_S) {
+  const series = new Map(); // JSON of labels -> { labels, counts, sum, count }
+  metricFamilies.push({
+    name, help, type: 'histogram',
+    render: () => [...series.values()].flatMap(s => [
+      ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`),
+      `${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`,
+      `${name}_sum${formatLabels(s.labels)} ${s.sum}`,
+      `${name}_count${formatLabels(s.labels)} ${s.count}`,
+    ]),
+  });
+  return {
+    observe(labels, value) {
+      const key = JSON.stringify(labels);
+      if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const s = series.get(key);
+      buckets.forEach((le, i) => { if (value <= le) s.counts[i] += 1; });
+      s.sum += value;
+      s.count += 1;
+    },
+  };
+}
+
+// `collect` returns [{ labels, value }] when scraped.
+function defineGauge(name, help, collect) {
+  metricFamilies.push({
+    name, help, type: 'gauge',
+    render: () => collect().map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`),
+  });
+}
+
+function renderMetrics() {
+  return metricFamilies
+    .map(f => [`# HELP ${f.name} ${f.help}`, `# TYPE ${f.name} ${f.type}`, ...f.render()].join('\n'))
+    .join('\n') + '\n';
+}
+
+// Live API path -> endpoint label, so flight and session ids don't become label values.
+function getIfEndpointLabel(url) {
+  const pathname = String(url || '').split('?')[0];
+  if (pathname === '/sessions') return 'sessions';
+  if (pathname === '/users') return 'users';
+  const m = pathname.match(/^\/sessions\/[^/]+\/(flights|atc|notams)(?:\/[^/]+\/(flightplan|route))?$/);
+  return m ? (m[2] || m[1]) : 'other';
+}
+
+const pollDuration = defineHistogram('acars_poll_duration_seconds', 'Duration of pollOnce runs.');
+const pollOverlaps = defineCounter('acars_poll_overlaps_total', 'Engine ticks skipped because the previous pollOnce was still running.', { initial: [{}] });
+const pollErrors = defineCounter('acars_poll_errors_total', 'pollOnce runs that threw.', { initial: [{}] });
+defineGauge('acars_poll_last_completed_timestamp_seconds', 'Unix time the last pollOnce run finished. Alert when it stops moving.',
+  () => [{ value: lastPollCompletedAt / 1000 }]);
+
+const ifRequests = defineCounter('acars_if_requests_total', 'Live API HTTP requests by endpoint, HTTP status and IF errorCode (empty when the response had none).');
+const ifRequestDuration = defineHistogram('acars_if_request_duration_seconds', 'Live API request latency by endpoint.');
+const ifCircuitRejections = defineCounter('acars_if_circuit_rejections_total', 'Live API calls refused while the circuit breaker was open.', { initial: [{}] });
+defineGauge('acars_if_circuit_breaker_state', 'Circuit breaker state: 1 for the current one of closed, half_open, open.',
+  () => ['closed', 'half_open', 'open'].map(state => ({ labels: { state }, value: getBreakerSnapshot().state === state ? 1 : 0 })));
+
+defineGauge('acars_trackers', 'Trackers by status.', () => {
+  const counts = Object.fromEntries(TRACKER_STATUSES.map(status => [status, 0]));
+  for (const t of trackers.values()) counts[t.status] = (counts[t.status] || 0) + 1;
+  return Object.entries(counts).map(([status, value]) => ({ labels: { status }, value }));
+});
+
+const callbackResults = defineCounter('acars_callbacks_total', 'Webhook delivery attempts by event and result: success, failure (will retry) or dead_letter.');
+
+defineGauge('acars_airports', 'Airports loaded from the airport dataset.', () => [{ value: airports.length }]);
+defineGauge('acars_runway_airports', 'Airports with runway data.', () => [{ value: runwaysByAirport.size }]);
+
+/* =========================
+ * IF API client
+ * =========================
+ * All Live API calls go through ifGet(). It maps IF errorCode values and HTTP failures to
+ * IFApiError subclasses, retries temporary failures (429, 5xx, timeouts, network errors)
+ * with jittered backoff, and trips a circuit breaker after IF_BREAKER_THRESHOLD requests
+ * in a row have failed that way. While the breaker is open calls fail fast.
+ */
+const IF_ERROR_CODES = {
+  1: 'UserNotFound',
+  2: 'MissingRequestParameters',
+  3: 'EndpointError',
+  4: 'NotAuthorized',
+  5: 'ServerNotFound',
+  6: 'FlightNotFound',
+  7: 'NoAtisAvailable',
+};
+
+// The API reports errorCodes with HTTP 200; this is the status they surface as (e.status, e.response.status).
+const IF_ERROR_HTTP_STATUS = { 1: 404, 2: 400, 3: 502, 4: 403, 5: 404, 6: 404, 7: 404 };
+
+class IFApiError extends Error {
+  constructor(message, { code, errorCode = null, status = null, data = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.errorCode = errorCode;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+    // Same shape as an axios error, so route handlers can keep reading e.response.
+    this.response = status || data ? { status: status || undefined, data } : undefined;
+  }
+}
+class IFNotFoundError extends IFApiError {}
+class IFAuthError extends IFApiError {}
+class IFRateLimitError extends IFApiError {}
+class IFUnavailableError extends IFApiError {}
+class IFCircuitOpenError extends IFApiError {}
+
+const breaker = {
+  state: 'closed', // closed | open | half_open
+  consecutiveFailures: 0,
+  openedAt: null,
+  retryAt: null, // when an open breaker lets a trial request through
+  lastFailureAt: null,
+  lastError: null,
+  trialInFlight: false,
+};
+
+function getBreakerSnapshot() {
+  return {
+    state: breaker.state === 'open' && clock.now() >= breaker.retryAt ? 'half_open' : breaker.state,
+    consecutiveFailures: breaker.consecutiveFailures,
+    openedAt: toIso(breaker.openedAt),
+    retryAt: toIso(breaker.retryAt),
+    lastFailureAt: toIso(breaker.lastFailureAt),
+    lastError: breaker.lastError,
+  };
+}
+
+function isBreakerOpen() {
+  return breaker.state === 'open' && clock.now() < breaker.retryAt;
+}
+
+/**
+ * Lets a request through unless the breaker is open. After the cooldown exactly one
+ * trial request is allowed (half-open); its outcome closes or re-opens the breaker.
+ */
+function acquireBreaker() {
+  if (breaker.state === 'closed') return;
+  if (isBreakerOpen() || breaker.trialInFlight) {
+    ifCircuitRejections.inc();
+    throw new IFCircuitOpenError('IF API circuit breaker is open', { code: 'CircuitOpen', status: 503, retryable: false });
+  }
+  breaker.state = 'half_open';
+  breaker.trialInFlight = true;
+}
+
+function recordBreakerSuccess() {
+  if (breaker.state !== 'closed') log.info('IF API reachable again, circuit breaker closed');
+  breaker.state = 'closed';
+  breaker.consecutiveFailures = 0;
+  breaker.openedAt = null;
+  breaker.retryAt = null;
+  breaker.trialInFlight = false;
+}
+
+function recordBreakerFailure(e) {
+  breaker.consecutiveFailures += 1;
+  breaker.lastFailureAt = clock.now();
+  breaker.lastError = e.message;
+  breaker.trialInFlight = false;
+  if (breaker.state === 'half_open' || breaker.consecutiveFailures >= IF_BREAKER_THRESHOLD) {
+    if (breaker.state !== 'open') log.warn('IF API circuit breaker opened', { failures: breaker.consecutiveFailures, error: e.message });
+    breaker.state = 'open';
+    breaker.openedAt = clock.now();
+    breaker.retryAt = breaker.openedAt + IF_BREAKER_COOLDOWN_MS;
+  }
+}
+
+/**
+ * The API asked for a longer pause than a retry may wait (Retry-After above IF_RETRY_MAX_MS),
+ * so the breaker stays open until then rather than retrying early.
+ */
+function holdBreakerOpen(e) {
+  const now = clock.now();
+  breaker.lastFailureAt = now;
+  breaker.lastError = e.message;
+  breaker.trialInFlight = false;
+  if (breaker.state !== 'open') {
+    log.warn('IF API asked to back off, circuit breaker opened', { retryAfterMs: e.retryAfterMs, error: e.message });
+    breaker.openedAt = now;
+  }
+  breaker.state = 'open';
+  breaker.retryAt = Math.max(breaker.retryAt || 0, now + e.retryAfterMs);
+}
+
+function parseRetryAfterMs(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - clock.now()) : null;
+}
+
+function errorFromPayload(url, payload) {
+  const errorCode = payload.errorCode;
+  const code = IF_ERROR_CODES[errorCode] || `ErrorCode${errorCode}`;
+  const opts = { code, errorCode, status: IF_ERROR_HTTP_STATUS[errorCode] || 502, data: payload };
+  const message = `IF API errorCode ${errorCode} (${code}) for ${url}`;
+  if (errorCode === 1 || errorCode === 5 || errorCode === 6) return new IFNotFoundError(message, opts);
+  if (errorCode === 4) return new IFAuthError(message, opts);
+  if (errorCode === 3) return new IFUnavailableError(message, { ...opts, retryable: true });
+  return new IFApiError(message, opts);
+}
+
+function errorFromAxios(url, e) {
+  if (e instanceof IFApiError) return e;
+  const status = e?.response?.status || null;
+  const data = e?.response?.data ?? null;
+  const message = `IF API request to ${url} failed: ${e?.message}`;
+  if (!status) return new IFUnavailableError(message, { code: e?.code === 'ECONNABORTED' ? 'Timeout' : 'NetworkError', retryable: true });
+  if (status === 429) {
+    return new IFRateLimitError(message, { code: 'RateLimited', status, data, retryable: true, retryAfterMs: parseRetryAfterMs(e.response.headers?.['retry-after']) });
+  }
+  if (status >= 500) {
+    return new IFUnavailableError(message, { code: 'ServerError', status, data, retryable: true, retryAfterMs: parseRetryAfterMs(e.response.headers?.['retry-after']) });
+  }
+  if (status === 401 || status === 403) return new IFAuthError(message, { code: 'NotAuthorized', status, data });
+  if (status === 404) return new IFNotFoundError(message, { code: 'NotFound', status, data });
+  return new IFApiError(message, { code: 'HttpError', status, data });
+}
+
+// A single HTTP request, counted and timed for /metrics.
+async function timedIfRequest(config) {
+  const endpoint = getIfEndpointLabel(config.url);
+  const startedAt = performance.now();
+  try {
+    const response = await ifClient.request(config);
+    const errorCode = response.data?.errorCode;
+    ifRequests.inc({ endpoint, status: String(response.status), error_code: typeof errorCode === 'number' ? String(errorCode) : '' });
+    return response;
+  } catch (e) {
+    const status = e?.response?.status || (e?.code === 'ECONNABORTED' ? 'timeout' : 'network_error');
+    ifRequests.inc({ endpoint, status: String(status), error_code: '' });
+    throw e;
+  } finally {
+    ifRequestDuration.observe({ endpoint }, (performance.now() - startedAt) / 1000);
+  }
+}
+
+/**
+ * One request, falling back to the apikey query parameter when the bearer header is rejected.
+ * Throws an IFApiError for non-zero errorCode payloads.
+ */
+async function requestOnce(method, url, authFallbackStatuses, data) {
+  let response;
+  try {
+    response = await timedIfRequest({ method, url, data });
+  } catch (e) {
+    if (!authFallbackStatuses.includes(e?.response?.status)) throw e;
+    response = await timedIfRequest({ method, url, data, params: { apikey: IF_API_KEY } });
+  }
+  const payload = response.data && typeof response.data === 'object' ? response.data : {};
+  if (typeof payload.errorCode === 'number' && payload.errorCode !== 0) {
+    throw errorFromPayload(url, payload);
+  }
+  return payload;
+}
+
+function getRetryDelayMs(attempt, e) {
+  if (e.retryAfterMs != null) return e.retryAfterMs; // ifRequest only retries when it is within IF_RETRY_MAX_MS
+  const ceiling = Math.min(IF_RETRY_BASE_MS * 2 ** (attempt - 1), IF_RETRY_MAX_MS);
+  return Math.round(Math.random() * ceiling); // full jitter
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function ifRequest(method, url, { authFallbackStatuses = [401, 403], data } = {}) {
+  acquireBreaker();
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const payload = await requestOnce(method, url, authFallbackStatuses, data);
+      recordBreakerSuccess();
+      return payload;
+    } catch (raw) {
+      const e = errorFromAxios(url, raw);
+      if (!e.retryable) {
+        // The API answered, it just didn't like the request: that's not an outage.
+        recordBreakerSuccess();
+        throw e;
+      }
+      if (e.retryAfterMs > IF_RETRY_MAX_MS) {
+        holdBreakerOpen(e);
+        throw e;
+      }
+      if (attempt >= IF_RETRY_ATTEMPTS) {
+        recordBreakerFailure(e);
+        throw e;
+      }
+      const delayMs = getRetryDelayMs(attempt, e);
+      log.debug('IF API request failed, retrying', { url, code: e.code, retry: attempt, maxRetries: IF_RETRY_ATTEMPTS - 1, delayMs });
+      await sleep(delayMs);
+    }
+  }
+}
+
+const ifGet = (url, opts) => ifRequest('get', url, opts);
+const ifPost = (url, data, opts) => ifRequest('post', url, { ...opts, data });
+
 /* =========================
  * IF API Wrappers
  * ========================= */
 async function getSessions() {
-  const { data } = await ifClient.get('/sessions');
+  const data = await ifGet('/sessions');
   const items = unwrap(data);
   return items.map((s) => ({
     id: s?.id || s?.uuid || null,
@@ -182,32 +877,8 @@ function pickSessionIdByName(sessions, desiredName = 'Expert Server') {
 
 async function getFlightsForSession(sessionId) {
   if (!sessionId) throw new Error('Missing sessionId');
-  try {
-    const { data } = await ifClient.get(`/sessions/${encodeURIComponent(sessionId)}/flights`);
-    const payload = data && typeof data === 'object' ? data : {};
-    if (typeof payload.errorCode === 'number' && payload.errorCode !== 0) {
-      const err = new Error(`IF API errorCode ${payload.errorCode}`);
-      err.response = { data: payload };
-      throw err;
-    }
-    return Array.isArray(payload.result) ? payload.result : (Array.isArray(data) ? data : []);
-  } catch (e) {
-    const status = e?.response?.status;
-    if (status === 401 || status === 403 || status === 404) {
-      const { data: retry } = await ifClient.get(
-        `/sessions/${encodeURIComponent(sessionId)}/flights`,
-        { params: { apikey: IF_API_KEY } }
-      );
-      const payload = retry && typeof retry === 'object' ? retry : {};
-      if (typeof payload.errorCode === 'number' && payload.errorCode !== 0) {
-        const err = new Error(`IF API errorCode ${payload.errorCode} (query param)`);
-        err.response = { data: payload };
-        throw err;
-      }
-      return Array.isArray(payload.result) ? payload.result : (Array.isArray(retry) ? retry : []);
-    }
-    throw e;
-  }
+  const data = await ifGet(`/sessions/${encodeURIComponent(sessionId)}/flights`, { authFallbackStatuses: [401, 403, 404] });
+  return Array.isArray(data.result) ? data.result : (Array.isArray(data) ? data : []);
 }
 
 function simplifyFlight(f) {
@@ -241,31 +912,10 @@ async function getFlightPlan(sessionId, flightId) {
   if (!sessionId || !flightId) throw new Error('Missing sessionId or flightId');
   const url = `/sessions/${encodeURIComponent(sessionId)}/flights/${encodeURIComponent(flightId)}/flightplan`;
   try {
-    const { data } = await ifClient.get(url);
-    const payload = data && typeof data === 'object' ? data : {};
-    if (typeof payload.errorCode === 'number' && payload.errorCode !== 0) {
-      if (payload.errorCode === 6) return null;
-      const err = new Error(`IF API errorCode ${payload.errorCode}`);
-      err.response = { data: payload };
-      throw err;
-    }
+    const payload = await ifGet(url);
     return payload.result || null;
   } catch (e) {
-    const status = e?.response?.status;
-    if (status === 401 || status === 403) {
-      const { data: retry } = await ifClient.get(url, { params: { apikey: IF_API_KEY } });
-      const payload = retry && typeof retry === 'object' ? retry : {};
-      if (typeof payload.errorCode === 'number' && payload.errorCode !== 0) {
-        if (payload.errorCode === 6) return null;
-        const err = new Error(`IF API errorCode ${payload.errorCode} (query param)`);
-        err.response = { data: payload };
-        throw err;
-      }
-      return payload.result || null;
-    }
-    if (status === 404) {
-      return null;
-    }
+    if (e.errorCode === 6 || (e.errorCode == null && e.status === 404)) return null; // FlightNotFound / no filed plan
     throw e;
   }
 }
@@ -300,31 +950,10 @@ async function getFlightRoute(sessionId, flightId) {
   if (!sessionId || !flightId) throw new Error('Missing sessionId or flightId');
   const url = `/sessions/${encodeURIComponent(sessionId)}/flights/${encodeURIComponent(flightId)}/route`;
   try {
-    const { data } = await ifClient.get(url);
-    const payload = data && typeof data === 'object' ? data : {};
-    if (typeof payload.errorCode === 'number' && payload.errorCode !== 0) {
-      if (payload.errorCode === 6) return [];
-      const err = new Error(`IF API errorCode ${payload.errorCode}`);
-      err.response = { data: payload };
-      throw err;
-    }
+    const payload = await ifGet(url);
     return Array.isArray(payload.result) ? payload.result : [];
   } catch (e) {
-    const status = e?.response?.status;
-    if (status === 401 || status === 403) {
-      const { data: retry } = await ifClient.get(url, { params: { apikey: IF_API_KEY } });
-      const payload = retry && typeof retry === 'object' ? retry : {};
-      if (typeof payload.errorCode === 'number' && payload.errorCode !== 0) {
-        if (payload.errorCode === 6) return [];
-        const err = new Error(`IF API errorCode ${payload.errorCode} (query param)`);
-        err.response = { data: payload };
-        throw err;
-      }
-      return Array.isArray(payload.result) ? payload.result : [];
-    }
-    if (status === 404) {
-      return [];
-    }
+    if (e.errorCode === 6 || (e.errorCode == null && e.status === 404)) return [];
     throw e;
   }
 }
@@ -343,106 +972,1717 @@ function simplifyFlightRoute(routeData) {
 
 async function getActiveATC(sessionId) {
   if (!sessionId) throw new Error('Missing sessionId');
-  const url = `/sessions/${encodeURIComponent(sessionId)}/atc`;
   try {
-    const { data } = await ifClient.get(url);
-    const payload = data && typeof data === 'object' ? data : {};
-    if (typeof payload.errorCode === 'number' && payload.errorCode !== 0) {
-      const err = new Error(`IF API errorCode ${payload.errorCode}`);
-      err.response = { data: payload };
-      throw err;
-    }
+    const payload = await ifGet(`/sessions/${encodeURIComponent(sessionId)}/atc`);
     return Array.isArray(payload.result) ? payload.result : [];
   } catch (e) {
-    const status = e?.response?.status;
-    if (status === 401 || status === 403) {
-      const { data: retry } = await ifClient.get(url, { params: { apikey: IF_API_KEY } });
-      const payload = retry && typeof retry === 'object' ? retry : {};
-      if (typeof payload.errorCode === 'number' && payload.errorCode !== 0) {
-        const err = new Error(`IF API errorCode ${payload.errorCode} (query param)`);
-        err.response = { data: payload };
-        throw err;
-      }
-      return Array.isArray(payload.result) ? payload.result : [];
-    }
-    if (status === 404) {
-      return [];
-    }
+    if (e.errorCode == null && e.status === 404) return [];
     throw e;
   }
 }
 
 async function getNotams(sessionId) {
   if (!sessionId) throw new Error('Missing sessionId');
-  const url = `/sessions/${encodeURIComponent(sessionId)}/notams`;
   try {
-    const { data } = await ifClient.get(url);
-    const payload = data && typeof data === 'object' ? data : {};
-    if (typeof payload.errorCode === 'number' && payload.errorCode !== 0) {
-      const err = new Error(`IF API errorCode ${payload.errorCode}`);
-      err.response = { data: payload };
-      throw err;
-    }
+    const payload = await ifGet(`/sessions/${encodeURIComponent(sessionId)}/notams`);
     return Array.isArray(payload.result) ? payload.result : [];
   } catch (e) {
-    const status = e?.response?.status;
-    if (status === 401 || status === 403) {
-      const { data: retry } = await ifClient.get(url, { params: { apikey: IF_API_KEY } });
-      const payload = retry && typeof retry === 'object' ? retry : {};
-      if (typeof payload.errorCode === 'number' && payload.errorCode !== 0) {
-        const err = new Error(`IF API errorCode ${payload.errorCode} (query param)`);
-        err.response = { data: payload };
-        throw err;
-      }
-      return Array.isArray(payload.result) ? payload.result : [];
-    }
-    if (status === 404) {
-      return [];
-    }
+    if (e.errorCode == null && e.status === 404) return [];
     throw e;
   }
 }
 
+/**
+ * Looks users up by forum username or userId with POST /users. Unknown users are left out.
+ * With IF_USERS_FILE set, answers from that file instead ({ users: [{ userId, discourseUsername }] }).
+ */
+async function lookupUsers({ discourseNames = [], userIds = [] }) {
+  if (!discourseNames.length && !userIds.length) return [];
+  let items;
+  if (IF_USERS_FILE) {
+    const parsed = JSON.parse(await fs.promises.readFile(IF_USERS_FILE, 'utf8'));
+    const users = Array.isArray(parsed) ? parsed : (Array.isArray(parsed?.users) ? parsed.users : []);
+    const names = new Set(discourseNames.map(n => n.toLowerCase()));
+    const ids = new Set(userIds);
+    items = users.filter(u => ids.has(u.userId) || names.has(String(u.discourseUsername || '').toLowerCase()));
+  } else {
+    try {
+      const payload = await ifPost('/users', discourseNames.length ? { discourseNames } : { userIds });
+      items = Array.isArray(payload.result) ? payload.result : [];
+    } catch (e) {
+      if (e.errorCode === 1) return [];
+      throw e;
+    }
+  }
+  return items
+    .filter(u => u && u.userId && (u.errorCode == null || u.errorCode === 0))
+    .map(u => ({ userId: u.userId, username: u.discourseUsername || null }));
+}
 
 /* =========================
- * Tracking engine
- * ========================= */
-async function notifyCallback(tracker, payload) {
-  const url = tracker.callbackUrl || DEFAULT_CALLBACK_URL;
-  if (!url) return;
-  try {
-    await axios.post(url, {
-      trackerId: tracker.id,
-      username: tracker.username,
-      server: tracker.server,
-      status: tracker.status,
-      ...payload,
-    }, {
-      timeout: 10000,
-      headers: {
-        'x-acars-signature': process.env.TRACK_WEBHOOK_SECRET || ''
-      }
-    });
-  } catch (e) {
-    if (TRACK_LOG) console.warn('[callback] failed', e?.message);
+ * IF API cache
+ * =========================
+ * Sits in front of the wrappers above. Identical requests in flight share one upstream
+ * call. The tracking engine reads through the same per-endpoint TTLs (IF_CACHE_TTL_MS, e.g.
+ * 4s for flights, 60s for sessions, 5m for NOTAMs) but never takes stale data: a poll reuses
+ * any response still within its TTL, including one an HTTP route or the ATC scan fetched.
+ * HTTP routes also accept data up to IF_CACHE_STALE_MS past its TTL and refresh it in the
+ * background.
+ */
+const ifCache = new Map();    // key -> { value, fetchedAt }
+const ifInflight = new Map(); // key -> Promise
+
+function fetchCoalesced(key, fetcher) {
+  if (ifInflight.has(key)) return ifInflight.get(key);
+  const promise = fetcher()
+    .then(value => {
+      ifCache.set(key, { value, fetchedAt: clock.now() });
+      return value;
+    })
+    .finally(() => ifInflight.delete(key));
+  ifInflight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Resolves to { value, ageMs, cache } where cache is HIT, STALE or MISS.
+ */
+async function cachedIfCall(key, ttlMs, fetcher, { allowStale = false } = {}) {
+  const entry = ifCache.get(key);
+  if (entry) {
+    const ageMs = clock.now() - entry.fetchedAt;
+    if (ageMs < ttlMs) return { value: entry.value, ageMs, cache: 'HIT' };
+    if (allowStale && ageMs < ttlMs + IF_CACHE_STALE_MS) {
+      fetchCoalesced(key, fetcher).catch(e => {
+        log.warn('IF API background refresh failed', { key, error: e?.message });
+      });
+      return { value: entry.value, ageMs, cache: 'STALE' };
+    }
   }
+  const value = await fetchCoalesced(key, fetcher);
+  return { value, ageMs: 0, cache: 'MISS' };
 }
 
-function addTrackers(input) {
-  const now = Date.now();
-  const created = [];
-  const list = Array.isArray(input.usernames) && input.usernames.length
-    ? input.usernames.map(u => ({ username: u, server: input.server, callbackUrl: input.callbackUrl }))
-    : [{ username: input.username, server: input.server, callbackUrl: input.callbackUrl }];
+function getSessionsCached(opts) {
+  return cachedIfCall('sessions', IF_CACHE_TTL_MS.sessions, getSessions, opts);
+}
 
-  for (const item of list) {
-    const username = String(item.username || '').trim();
-    if (!username) continue;
-    const server = (item.server || DEFAULT_IF_SERVER).trim();
-    const callbackUrl = (item.callbackUrl || DEFAULT_CALLBACK_URL || '').trim();
+function getFlightsCached(sessionId, opts) {
+  return cachedIfCall(`flights:${sessionId}`, IF_CACHE_TTL_MS.flights, () => getFlightsForSession(sessionId), opts);
+}
 
-    const existing = [...trackers.values()].find(t =>
-      t.username.toLowerCase() === username.toLowerCase() &&
+function getActiveATCCached(sessionId, opts) {
+  return cachedIfCall(`atc:${sessionId}`, IF_CACHE_TTL_MS.atc, () => getActiveATC(sessionId), opts);
+}
+
+function getNotamsCached(sessionId, opts) {
+  return cachedIfCall(`notams:${sessionId}`, IF_CACHE_TTL_MS.notams, () => getNotams(sessionId), opts);
+}
+
+/**
+ * Adds the standard Age header (seconds) and X-Cache so clients can tell how old the data is.
+ */
+function setCacheHeaders(res, ...results) {
+  const ageMs = Math.max(...results.map(r => r.ageMs));
+  res.set('Age', String(Math.floor(ageMs / 1000)));
+  res.set('X-Cache', results.some(r => r.cache === 'STALE') ? 'STALE' : results.every(r => r.cache === 'HIT') ? 'HIT' : 'MISS');
+}
+
+
+/* =========================
+ * Tracker persistence
+ * =========================
+ * State changes (created, status, history events, stop/delay) save right away through
+ * saveTrackers(). A poll that only moved the aircraft or rescheduled the next poll calls
+ * saveTrackersIfStale() instead, which writes at most every TRACKER_ROUTINE_SAVE_MS, so
+ * the store is not rewritten on every poll and a crash only loses the latest positions.
+ */
+let saveTimer = null;
+let saveChain = Promise.resolve();
+let lastTrackerSaveAt = 0;
+
+function serializeTrackers() {
+  return JSON.stringify({
+    version: 1,
+    savedAt: clock.now(),
+    trackers: [...trackers.values()],
+  });
+}
+
+/**
+ * Writes the full tracker store to disk. The data goes to a temp file first and is
+ * then renamed over the real one, so a crash mid-write never leaves a truncated store.
+ */
+async function writeTrackerStore() {
+  lastTrackerSaveAt = clock.now();
+  const json = serializeTrackers();
+  const tmpPath = `${TRACKER_STORE_FILE}.tmp`;
+  await fs.promises.mkdir(path.dirname(TRACKER_STORE_FILE), { recursive: true });
+  await fs.promises.writeFile(tmpPath, json, 'utf8');
+  await fs.promises.rename(tmpPath, TRACKER_STORE_FILE);
+}
+
+function writeTrackerStoreSync() {
+  lastTrackerSaveAt = clock.now();
+  const tmpPath = `${TRACKER_STORE_FILE}.tmp`;
+  fs.mkdirSync(path.dirname(TRACKER_STORE_FILE), { recursive: true });
+  fs.writeFileSync(tmpPath, serializeTrackers(), 'utf8');
+  fs.renameSync(tmpPath, TRACKER_STORE_FILE);
+}
+
+/**
+ * Schedules a debounced save. Writes are chained so two saves never race on the temp file.
+ */
+function saveTrackers() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    saveChain = saveChain
+      .then(writeTrackerStore)
+      .catch(e => log.error('failed to save tracker store', { file: TRACKER_STORE_FILE, error: e?.message }));
+  }, TRACKER_SAVE_DEBOUNCE_MS);
+}
+
+function saveTrackersIfStale() {
+  if (clock.now() - lastTrackerSaveAt >= TRACKER_ROUTINE_SAVE_MS) saveTrackers();
+}
+
+// What a poll can change that has to reach the store right away; positions don't count.
+function trackerStateKey(t) {
+  return `${t.status}:${t.history.length}`;
+}
+
+/**
+ * Drops trackers that finished (landed, stopped, not found) more than TRACKER_RETENTION_MS
+ * ago, so the store doesn't carry every trail and delivery log forever.
+ * A tracker with a callback still waiting for a retry is kept until that settles.
+ */
+function pruneFinishedTrackers(now) {
+  let removed = 0;
+  for (const t of trackers.values()) {
+    if (t.status === 'searching' || t.status === 'tracking') continue;
+    if ((t.deliveries || []).some(d => d.status === 'pending')) continue;
+    const finishedAt = t.finishedAt || t.history[t.history.length - 1]?.timestamp || t.startedAt; // stores from before finishedAt
+    if (now - finishedAt < TRACKER_RETENTION_MS) continue;
+    trackers.delete(t.id);
+    trackerLogs.delete(t.id);
+    removed += 1;
+  }
+  if (removed) {
+    log.info('finished trackers pruned', { count: removed, retentionMs: TRACKER_RETENTION_MS });
+    saveTrackers();
+  }
+  return removed;
+}
+
+/**
+ * Restores trackers saved by a previous run. Active trackers that were locked onto a
+ * flight are due immediately, so the next pollOnce picks them up where they left off.
+ */
+function loadTrackers() {
+  let parsed;
+  try {
+    if (!fs.existsSync(TRACKER_STORE_FILE)) return 0;
+    parsed = JSON.parse(fs.readFileSync(TRACKER_STORE_FILE, 'utf8'));
+  } catch (e) {
+    log.error('could not read tracker store, starting empty', { file: TRACKER_STORE_FILE, error: e?.message });
+    return 0;
+  }
+
+  const now = clock.now();
+  const list = Array.isArray(parsed?.trackers) ? parsed.trackers : [];
+  let resumed = 0;
+  for (const t of list) {
+    if (!t || !t.id || (!t.username && !t.userId)) continue;
+    t.history = Array.isArray(t.history) ? t.history : [];
+    if (!t.rules) applyTrackerRules(t); // saved before rules profiles existed
+    if (t.status === 'searching' || t.status === 'tracking') {
+      if (t.status === 'tracking') t.nextPollAt = now;
+      t.history.push({ event: 'resumed', timestamp: now });
+      resumed += 1;
+    }
+    trackers.set(t.id, t);
+  }
+  pruneFinishedTrackers(now);
+  log.info('trackers restored', { count: trackers.size, active: resumed, file: TRACKER_STORE_FILE });
+  return resumed;
+}
+
+// Writes any pending changes right away instead of waiting for the debounced save.
+function flushTrackers() {
+  if (saveTimer) clearTimeout(saveTimer);
+  saveTimer = null;
+  try {
+    writeTrackerStoreSync();
+  } catch (e) {
+    log.error('failed to flush tracker store on shutdown', { file: TRACKER_STORE_FILE, error: e?.message });
+  }
+}
+
+function flushTrackersAndExit() {
+  flushTrackers();
+  process.exit(0);
+}
+
+/* =========================
+ * Tracker events
+ * =========================
+ * Tracker changes are published on `trackerEvents` ('event' with { type, tracker, data }).
+ * Types: created, updated, status_change, history. The SSE stream relays them.
+ */
+const trackerEvents = new EventEmitter();
+trackerEvents.setMaxListeners(0); // one listener per connected dashboard
+
+function emitTrackerEvent(type, t, data = {}) {
+  trackerEvents.emit('event', { type, tracker: t, data, timestamp: clock.now() });
+}
+
+function addHistory(t, entry) {
+  t.history.push(entry);
+  emitTrackerEvent('history', t, { entry: { ...entry, timestamp: toIso(entry.timestamp) } });
+}
+
+function setStatus(t, status) {
+  if (t.status === status) return;
+  const previousStatus = t.status;
+  t.status = status;
+  t.finishedAt = status === 'searching' || status === 'tracking' ? null : clock.now();
+  emitTrackerEvent('status_change', t, { status, previousStatus });
+}
+
+
+/* =========================
+ * PIREP
+ * ========================= */
+
+function toIso(ms) {
+  return ms ? new Date(ms).toISOString() : null;
+}
+
+/**
+ * Sums the haversine distance between consecutive route points.
+ */
+function getRouteDistanceKm(route) {
+  let total = 0;
+  for (let i = 1; i < route.length; i++) {
+    const a = route[i - 1];
+    const b = route[i];
+    if ([a.lat, a.lon, b.lat, b.lon].every(v => typeof v === 'number')) {
+      total += getDistanceKm(a.lat, a.lon, b.lat, b.lon);
+    }
+  }
+  return total;
+}
+
+/**
+ * When the pilot went online with the flight that is being flown. Rejoining under a new
+ * flightId records another "online" event and starts the clock again.
+ */
+function getBlockOffAt(t) {
+  return t.history.findLast(h => h.event === 'online')?.timestamp ?? null;
+}
+
+/**
+ * Builds a pilot report for a landed tracker from its simplified route, cached flight plan
+ * and last flight snapshot. Times are epoch ms; use formatPirep() before sending it out.
+ */
+function buildPirep(t, { route, arrival, arrivalDistanceKm, landedAt }) {
+  const firstPoint = route[0] || t.firstPosition || null;
+  const departureMatch = firstPoint ? findNearestAirport(firstPoint.lat, firstPoint.lon) : { airport: null };
+  const departure = departureMatch.airport;
+
+  const blockOffAt = getBlockOffAt(t);
+
+  const airborne = route.filter(p => typeof p.groundSpeed === 'number' && p.groundSpeed >= AIRBORNE_MIN_SPEED_KT);
+  const takeoffAt = airborne.length ? Date.parse(airborne[0].timestamp) || null : null;
+  const routeTouchdownAt = airborne.length ? Date.parse(airborne[airborne.length - 1].timestamp) || null : null;
+  const touchdownAt = t.touchdown?.timestamp || routeTouchdownAt;
+
+  const altitudes = route.map(p => p.altitude).filter(a => typeof a === 'number');
+  const greatCircleKm = departure ? getDistanceKm(departure.lat, departure.lon, arrival.lat, arrival.lon) : null;
+  const flownKm = getRouteDistanceKm(route);
+  const flight = t.flight || {};
+  const plan = t.flightPlan || null;
+
+  return {
+    trackerId: t.id,
+    username: t.username,
+    userId: t.userId || null,
+    server: t.server,
+    sessionId: t.lastKnownFlight?.sessionId || null,
+    flightId: t.lastKnownFlight?.flightId || null,
+    callsign: flight.callsign || null,
+    aircraftId: flight.aircraft?.aircraftId || null,
+    liveryId: flight.aircraft?.liveryId || null,
+    departure: departure ? { icao: departure.icao, name: departure.name, distanceKm: departureMatch.distanceKm } : null,
+    arrival: { icao: arrival.icao, name: arrival.name, distanceKm: arrivalDistanceKm },
+    blockOffAt,
+    takeoffAt,
+    touchdownAt,
+    blockOnAt: landedAt,
+    blockTimeMs: blockOffAt ? landedAt - blockOffAt : null,
+    airTimeMs: takeoffAt && touchdownAt ? touchdownAt - takeoffAt : null,
+    greatCircleDistanceKm: greatCircleKm,
+    greatCircleDistanceNm: greatCircleKm != null ? greatCircleKm / KM_PER_NM : null,
+    flownDistanceKm: flownKm,
+    flownDistanceNm: flownKm / KM_PER_NM,
+    maxAltitudeFt: altitudes.length ? Math.max(...altitudes) : null,
+    touchdown: t.touchdown || null,
+    arrivalOutcome: t.arrivalOutcome || null,
+    departureRunway: t.runways?.departure?.runway || null,
+    arrivalRunway: t.runways?.arrival?.runway || null,
+    offRunwayTouchdown: !!t.runways?.arrival?.offRunway,
+    route: plan ? {
+      flightPlanId: plan.flightPlanId,
+      waypoints: plan.waypoints.map(w => w.name),
+      text: plan.waypoints.map(w => w.name).join(' '),
+    } : null,
+    filedAt: landedAt,
+  };
+}
+
+function formatPirep(p) {
+  if (!p) return null;
+  return {
+    ...p,
+    blockOffAt: toIso(p.blockOffAt),
+    takeoffAt: toIso(p.takeoffAt),
+    touchdownAt: toIso(p.touchdownAt),
+    blockOnAt: toIso(p.blockOnAt),
+    filedAt: toIso(p.filedAt),
+    touchdown: formatTouchdown(p.touchdown),
+  };
+}
+
+/**
+ * Fetches and caches the filed flight plan on the tracker. Pilots often file after
+ * spawning, so a missing plan is re-checked every FLIGHT_PLAN_REFRESH_MS.
+ */
+async function refreshFlightPlan(t, now) {
+  const ref = t.lastKnownFlight;
+  if (!ref?.flightId || t.flightPlan) return t.flightPlan || null;
+  if (now - (t.flightPlanCheckedAt || 0) < FLIGHT_PLAN_REFRESH_MS) return null;
+  t.flightPlanCheckedAt = now;
+  try {
+    const rawPlan = await getFlightPlan(ref.sessionId, ref.flightId);
+    if (rawPlan) {
+      t.flightPlan = simplifyFlightPlan(rawPlan);
+      t.plannedRoute = getPlannedEndpoints(t);
+    }
+  } catch (e) {
+    logFor(t).warn('flight plan fetch failed', { error: e.message });
+  }
+  return t.flightPlan || null;
+}
+
+/* =========================
+ * Diversion detection
+ * ========================= */
+
+/**
+ * Resolves a flight plan waypoint to an airport, first by ICAO name, then by position.
+ */
+function resolvePlanAirport(waypoint) {
+  if (!waypoint) return null;
+  const byName = findAirportByIcao(waypoint.name);
+  if (byName) return byName;
+  const { airport, distanceKm } = findNearestAirport(waypoint.lat, waypoint.lon);
+  return airport && distanceKm <= PLAN_ENDPOINT_MATCH_KM ? airport : null;
+}
+
+/**
+ * Planned origin and destination ICAOs from the cached flight plan. Either is null when
+ * the plan does not start or end at a known airport.
+ */
+function getPlannedEndpoints(t) {
+  const waypoints = t.flightPlan?.waypoints || [];
+  if (!waypoints.length) return null;
+  const origin = resolvePlanAirport(waypoints[0]);
+  const destination = waypoints.length > 1 ? resolvePlanAirport(waypoints[waypoints.length - 1]) : null;
+  return { origin: origin?.icao || null, destination: destination?.icao || null };
+}
+
+/**
+ * Classifies a landing against the filed plan: arrived, diverted, returned_to_origin,
+ * or no_flight_plan when there is nothing to compare against.
+ */
+function classifyArrival(t, arrivalIcao) {
+  const planned = getPlannedEndpoints(t);
+  const actual = String(arrivalIcao || '').toUpperCase() || null;
+  if (!planned || !planned.destination) {
+    return { classification: 'no_flight_plan', plannedOrigin: planned?.origin || null, plannedDestination: null, actual };
+  }
+  let classification = 'diverted';
+  if (actual === planned.destination) classification = 'arrived';
+  else if (actual === planned.origin) classification = 'returned_to_origin';
+  return { classification, plannedOrigin: planned.origin, plannedDestination: planned.destination, actual };
+}
+
+/* =========================
+ * Runway detection
+ * ========================= */
+
+/**
+ * Position of a sample relative to a runway end: metres along the runway from the
+ * threshold, metres off the centerline (right positive) and track vs. runway heading.
+ */
+function measureAgainstRunway(rw, sample) {
+  const toRad = (v) => (v * Math.PI) / 180;
+  const metersPerRad = EARTH_RADIUS_KM * 1000;
+  const x = toRad(sample.lon - rw.lon) * Math.cos(toRad(rw.lat)) * metersPerRad;
+  const y = toRad(sample.lat - rw.lat) * metersPerRad;
+  const ux = Math.sin(toRad(rw.heading_deg));
+  const uy = Math.cos(toRad(rw.heading_deg));
+  return {
+    alongM: x * ux + y * uy,
+    crossM: x * uy - y * ux,
+    headingDiffDeg: typeof sample.track === 'number' ? getAngleDiffDeg(sample.track, rw.heading_deg) : null,
+  };
+}
+
+function isOnRunway(rw, m) {
+  const lengthM = rw.length_m ?? Infinity;
+  return Math.abs(m.crossM) <= RUNWAY_LATERAL_TOLERANCE_M &&
+    m.alongM >= -RUNWAY_END_MARGIN_M &&
+    m.alongM <= lengthM + RUNWAY_END_MARGIN_M &&
+    (m.headingDiffDeg == null || m.headingDiffDeg <= RUNWAY_HEADING_TOLERANCE_DEG);
+}
+
+/**
+ * Picks the runway end that best explains a set of ground samples ({ lat, lon, track })
+ * at an airport. Returns null when there is no runway data or no samples; otherwise
+ * { airport, runway, offRunway, ... } where runway is null and offRunway true if no
+ * sample lies on any runway.
+ */
+function matchRunway(icao, samples) {
+  const ends = runwaysByAirport.get(String(icao || '').toUpperCase()) || [];
+  const usable = samples.filter(p => typeof p?.lat === 'number' && typeof p?.lon === 'number');
+  if (!ends.length || !usable.length) return null;
+
+  let best = null;
+  for (const rw of ends) {
+    const measured = usable.map(p => measureAgainstRunway(rw, p));
+    const onCount = measured.filter(m => isOnRunway(rw, m)).length;
+    const avgCrossM = measured.reduce((sum, m) => sum + Math.abs(m.crossM), 0) / measured.length;
+    if (!best || onCount > best.onCount || (onCount === best.onCount && avgCrossM < best.avgCrossM)) {
+      best = { rw, measured, onCount, avgCrossM };
+    }
+  }
+
+  const first = best.measured[0];
+  if (!best.onCount) {
+    return { airport: best.rw.airport, runway: null, offRunway: true, nearestRunway: best.rw.ident, centerlineOffsetM: Math.round(best.avgCrossM) };
+  }
+  return {
+    airport: best.rw.airport,
+    runway: best.rw.ident,
+    offRunway: false,
+    centerlineOffsetM: Math.round(first.crossM),
+    distanceFromThresholdM: Math.round(first.alongM),
+  };
+}
+
+/**
+ * Takeoff roll from the route: fast ground points before the first airborne point.
+ */
+function getTakeoffSamples(route, airport) {
+  const elevationFt = airport?.elevation_ft || 0;
+  const liftoff = route.findIndex(p => typeof p.altitude === 'number' && p.altitude - elevationFt > TOUCHDOWN_AGL_FT);
+  if (liftoff <= 0) return [];
+  return route.slice(0, liftoff).filter(p => typeof p.groundSpeed === 'number' && p.groundSpeed >= LANDED_SPEED_KT);
+}
+
+/**
+ * Landing rollout from the route (fast ground points after the last airborne point),
+ * led by the live touchdown position when approach polling caught it.
+ */
+function getLandingSamples(route, airport, touchdown) {
+  const elevationFt = airport?.elevation_ft || 0;
+  let lastAirborne = -1;
+  route.forEach((p, i) => {
+    if (typeof p.altitude === 'number' && p.altitude - elevationFt > TOUCHDOWN_AGL_FT) lastAirborne = i;
+  });
+  const rollout = route.slice(lastAirborne + 1).filter(p => typeof p.groundSpeed === 'number' && p.groundSpeed >= LANDED_SPEED_KT);
+  const live = touchdown?.airport === airport?.icao && touchdown.position
+    ? [{ lat: touchdown.position.lat, lon: touchdown.position.lon, track: touchdown.position.track_deg }]
+    : [];
+  return [...live, ...rollout];
+}
+
+// The route's whole takeoff roll beats the single live sample taken when the takeoff phase began.
+function detectRunways(t, route, departureAirport, arrivalAirport) {
+  const fromRoute = departureAirport ? matchRunway(departureAirport.icao, getTakeoffSamples(route, departureAirport)) : null;
+  return {
+    departure: fromRoute?.runway ? fromRoute : t.runways?.departure || fromRoute,
+    arrival: matchRunway(arrivalAirport.icao, getLandingSamples(route, arrivalAirport, t.touchdown)),
+  };
+}
+
+/* =========================
+ * Approach & touchdown analysis
+ * ========================= */
+
+function formatTouchdown(td) {
+  return td ? { ...td, timestamp: toIso(td.timestamp) } : null;
+}
+
+/**
+ * Follows a tracked flight through approach, touchdown and rollout using successive live
+ * positions. The landing rate is the vertical speed of the last airborne sample, so its
+ * accuracy depends on APPROACH_POLL_MS. Returns true while the tracker should poll fast.
+ */
+function analyzeApproach(t, found, nearest, now) {
+  const pos = found.position;
+  if (typeof pos.alt_ft !== 'number' || typeof pos.lat !== 'number' || typeof pos.lon !== 'number') return !!t.approach;
+
+  const { airport, distanceKm } = nearest;
+  if (!airport) return false;
+
+  const aglFt = pos.alt_ft - (airport.elevation_ft || 0);
+  const onGround = aglFt <= TOUCHDOWN_AGL_FT;
+  const sample = { timestamp: now, agl_ft: aglFt, vs_fpm: pos.vs_fpm, gs_kt: pos.gs_kt, lat: pos.lat, lon: pos.lon };
+  const ap = t.approach;
+
+  if (!ap) {
+    const isDescending = typeof pos.vs_fpm === 'number' && pos.vs_fpm <= APPROACH_MIN_DESCENT_FPM;
+    if (!onGround && isDescending && aglFt < APPROACH_AGL_FT && distanceKm < APPROACH_PROXIMITY_KM) {
+      t.approach = { airport: airport.icao, startedAt: now, minAglFt: aglFt, lastAirborne: sample, touchedDown: false, airborneAfterContact: false };
+      addHistory(t, { event: 'approach', timestamp: now, airport: airport.icao });
+      logFor(t).info('approach', { airport: airport.icao, aglFt: Math.round(aglFt), vsFpm: pos.vs_fpm, distanceKm: Number(distanceKm.toFixed(1)) });
+      return true;
+    }
+    return false;
+  }
+
+  if (onGround) {
+    if (!ap.touchedDown) {
+      const ref = ap.lastAirborne || sample;
+      ap.touchedDown = true;
+      t.touchdown = {
+        timestamp: now,
+        airport: airport.icao,
+        landingRateFpm: ref.vs_fpm,
+        groundSpeedKt: ref.gs_kt,
+        position: { lat: pos.lat, lon: pos.lon, track_deg: pos.track_deg },
+        bounced: false,
+        bounces: 0,
+        goAround: false,
+      };
+      addHistory(t, { event: 'touchdown', timestamp: now, airport: airport.icao, landingRateFpm: ref.vs_fpm, groundSpeedKt: ref.gs_kt });
+      logFor(t).info('touchdown', { airport: airport.icao, landingRateFpm: ref.vs_fpm, groundSpeedKt: ref.gs_kt });
+    }
+    ap.airborneAfterContact = false;
+
+    // Slowed to taxi speed: the landing is complete, go back to normal polling.
+    if (typeof pos.gs_kt === 'number' && pos.gs_kt < LANDED_SPEED_KT) {
+      t.approach = null;
+      return false;
+    }
+    return true;
+  }
+
+  if (ap.touchedDown) {
+    if (aglFt > GO_AROUND_CLIMB_FT) {
+      t.touchdown.goAround = true;
+      addHistory(t, { event: 'go_around', timestamp: now, airport: ap.airport, afterTouchdown: true });
+      logFor(t).info('go-around after touchdown', { airport: ap.airport });
+      t.approach = null;
+      return false;
+    }
+    if (!ap.airborneAfterContact) {
+      ap.airborneAfterContact = true;
+      t.touchdown.bounced = true;
+      t.touchdown.bounces += 1;
+      addHistory(t, { event: 'bounce', timestamp: now, airport: ap.airport, aglFt: Math.round(aglFt) });
+    }
+    return true;
+  }
+
+  ap.minAglFt = Math.min(ap.minAglFt, aglFt);
+  if (aglFt - ap.minAglFt > GO_AROUND_CLIMB_FT && typeof pos.vs_fpm === 'number' && pos.vs_fpm > 0) {
+    addHistory(t, { event: 'go_around', timestamp: now, airport: ap.airport, afterTouchdown: false, minAglFt: Math.round(ap.minAglFt) });
+    logFor(t).info('go-around', { airport: ap.airport, minAglFt: Math.round(ap.minAglFt) });
+    t.approach = null;
+    return false;
+  }
+  ap.lastAirborne = sample;
+  return true;
+}
+
+/* =========================
+ * Flight phases
+ * ========================= */
+
+/**
+ * Works out the current phase (taxi, takeoff, climb, cruise, descent, approach, landed)
+ * from the latest position, the previous phase and the approach state kept by
+ * analyzeApproach. Keeps the previous phase when the position is unusable.
+ */
+function derivePhase(t, found, nearest) {
+  const pos = found.position;
+  if (typeof pos.alt_ft !== 'number' || typeof pos.gs_kt !== 'number') return t.phase || null;
+
+  const prev = t.phase || null;
+  const aglFt = pos.alt_ft - (nearest.airport?.elevation_ft || 0);
+  const onGround = aglFt <= TOUCHDOWN_AGL_FT;
+  const vs = typeof pos.vs_fpm === 'number' ? pos.vs_fpm : 0;
+  const wasSlow = typeof t.phaseSample?.gs_kt === 'number' && t.phaseSample.gs_kt < LANDED_SPEED_KT;
+
+  if (onGround) {
+    const isRollout = prev === 'approach' || prev === 'descent' || (prev === 'landed' && !wasSlow);
+    if (pos.gs_kt >= LANDED_SPEED_KT) return isRollout ? 'landed' : 'takeoff';
+    return prev === 'landed' || isRollout ? 'landed' : 'taxi';
+  }
+
+  if (t.approach) return 'approach';
+  if (prev === 'takeoff' && aglFt < PHASE_TAKEOFF_AGL_FT && vs >= 0) return 'takeoff';
+
+  const threshold = prev === 'cruise' ? PHASE_CRUISE_EXIT_VS_FPM : PHASE_CLIMB_VS_FPM;
+  if (vs > threshold) return 'climb';
+  if (vs < -threshold) return 'descent';
+  return 'cruise';
+}
+
+/**
+ * Moves the tracker to a new phase, recording a history event and, when the tracker
+ * opted in, sending a phase_change callback.
+ */
+function setPhase(t, phase, now, extra = {}) {
+  if (!phase || phase === t.phase) return;
+  const previousPhase = t.phase || null;
+  t.phase = phase;
+  t.phaseChangedAt = now;
+  addHistory(t, { event: 'phase', timestamp: now, phase, previousPhase, ...extra });
+  logFor(t).debug('phase changed', { phase, previousPhase });
+  if (t.phaseCallbacks) {
+    notifyCallback(t, { reason: 'phase_change', phase, previousPhase, flight: t.flight, ...extra });
+  }
+}
+
+function updatePhase(t, found, nearest, now) {
+  const phase = derivePhase(t, found, nearest);
+  const pos = found.position;
+  t.phaseSample = { timestamp: now, alt_ft: pos.alt_ft, vs_fpm: pos.vs_fpm, gs_kt: pos.gs_kt };
+  const extra = nearest.airport && nearest.distanceKm < APPROACH_PROXIMITY_KM
+    ? { airport: nearest.airport.icao, distanceKm: Number(nearest.distanceKm.toFixed(1)) }
+    : {};
+  // The takeoff phase starts on the takeoff roll, so the live position shows the runway in use.
+  if (phase === 'takeoff' && t.phase !== 'takeoff' && extra.airport) {
+    const departure = matchRunway(extra.airport, [{ lat: pos.lat, lon: pos.lon, track: pos.track_deg }]);
+    t.runways = { departure, arrival: null };
+    extra.departureRunway = departure?.runway || null;
+  }
+  setPhase(t, phase, now, extra);
+}
+
+
+/* =========================
+ * Breadcrumb trail
+ * =========================
+ * Every poll that finds the flight appends its position to t.trail as
+ * { ts, lat, lon, alt, gs, vs, trk }. Past TRAIL_MAX_POINTS the older half is thinned to
+ * every other point, so long flights keep full detail recently and coarser detail earlier.
+ */
+function recordBreadcrumb(t, pos, now) {
+  if (typeof pos?.lat !== 'number' || typeof pos?.lon !== 'number') return;
+  if (!Array.isArray(t.trail)) t.trail = [];
+  const ts = pos.lastReportMs || now;
+  const last = t.trail[t.trail.length - 1];
+  if (last && last.ts >= ts) return; // same report as the previous poll
+
+  t.trail.push({ ts, lat: pos.lat, lon: pos.lon, alt: pos.alt_ft, gs: pos.gs_kt, vs: pos.vs_fpm, trk: pos.track_deg });
+  if (t.trail.length > TRAIL_MAX_POINTS) {
+    const half = Math.floor(t.trail.length / 2);
+    const older = t.trail.slice(0, half).filter((_, i) => i % 2 === 0);
+    t.trail = older.concat(t.trail.slice(half));
+  }
+}
+
+/**
+ * Trail points within [from, to] (ms, either optional), at most one per `resolutionMs`
+ * and no more than `maxPoints` (evenly spaced). The last point in range is always kept.
+ */
+function sampleTrail(trail, { from = null, to = null, resolutionMs = 0, maxPoints = 0 } = {}) {
+  let points = (trail || []).filter(p => (from == null || p.ts >= from) && (to == null || p.ts <= to));
+  if (resolutionMs > 0 && points.length > 2) {
+    const kept = [points[0]];
+    for (let i = 1; i < points.length - 1; i++) {
+      if (points[i].ts - kept[kept.length - 1].ts >= resolutionMs) kept.push(points[i]);
+    }
+    kept.push(points[points.length - 1]);
+    points = kept;
+  }
+  if (maxPoints > 1 && points.length > maxPoints) {
+    const step = (points.length - 1) / (maxPoints - 1);
+    points = Array.from({ length: maxPoints }, (_, i) => points[Math.round(i * step)]);
+  }
+  return points;
+}
+
+/**
+ * Trail points in the shape simplifyFlightRoute returns, so they can stand in for the IF route.
+ */
+function trailToRoute(points) {
+  return points.map(p => ({
+    lat: p.lat,
+    lon: p.lon,
+    altitude: p.alt,
+    groundSpeed: p.gs,
+    track: p.trk,
+    timestamp: toIso(p.ts),
+  }));
+}
+
+
+/* =========================
+ * Geofences
+ * =========================
+ * Named areas checked against every fresh position of a tracked flight:
+ *   circle   { center: { lat, lon } or icao, radiusKm }
+ *   polygon  { points: [{ lat, lon }, ...] } for FIR-like regions; may cross the antimeridian
+ * Either may carry floorFt/ceilingFt (MSL). Crossing a boundary records a geofence_enter or
+ * geofence_exit history event and sends a callback. A flight first seen inside a fence
+ * gets an enter event too, flagged `initial`.
+ */
+let geofences = [];
+
+function loadGeofences() {
+  try {
+    if (!fs.existsSync(GEOFENCES_FILE)) return;
+    const parsed = JSON.parse(fs.readFileSync(GEOFENCES_FILE, 'utf8'));
+    geofences = (Array.isArray(parsed?.geofences) ? parsed.geofences : []).filter(g => g && g.id && !validateGeofence(g));
+    log.info('geofences loaded', { count: geofences.length, file: GEOFENCES_FILE });
+  } catch (e) {
+    log.error('could not read geofences, geofence alerts are disabled', { file: GEOFENCES_FILE, error: e?.message });
+    geofences = [];
+  }
+}
+
+function saveGeofences() {
+  const tmpPath = `${GEOFENCES_FILE}.tmp`;
+  fs.mkdirSync(path.dirname(GEOFENCES_FILE), { recursive: true });
+  fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, geofences }, null, 2), 'utf8');
+  fs.renameSync(tmpPath, GEOFENCES_FILE);
+}
+
+const isLatLon = (p) => p && Number.isFinite(p.lat) && Number.isFinite(p.lon) && Math.abs(p.lat) <= 90 && Math.abs(p.lon) <= 180;
+
+/**
+ * Returns an error message for an invalid geofence, or null. Expects a normalized shape
+ * (circle centers already resolved from an ICAO).
+ */
+function validateGeofence(g) {
+  if (!String(g.name || '').trim()) return 'name is required';
+  if (g.type === 'circle') {
+    if (!isLatLon(g.center)) return 'circle needs center { lat, lon } or a known icao';
+    if (!(g.radiusKm > 0)) return 'circle needs a positive radiusKm';
+  } else if (g.type === 'polygon') {
+    if (!Array.isArray(g.points) || g.points.length < 3 || !g.points.every(isLatLon)) {
+      return 'polygon needs at least 3 points { lat, lon }';
+    }
+  } else {
+    return 'type must be circle or polygon';
+  }
+  for (const key of ['floorFt', 'ceilingFt']) {
+    if (g[key] != null && !Number.isFinite(g[key])) return `${key} must be a number`;
+  }
+  return null;
+}
+
+function normalizeGeofence(input) {
+  const toPoint = (p) => Array.isArray(p) ? { lat: Number(p[0]), lon: Number(p[1]) } : { lat: Number(p?.lat), lon: Number(p?.lon) };
+  const g = {
+    id: newId(),
+    name: String(input.name || '').trim(),
+    type: String(input.type || '').toLowerCase(),
+    icao: null,
+    floorFt: input.floorFt != null ? Number(input.floorFt) : null,
+    ceilingFt: input.ceilingFt != null ? Number(input.ceilingFt) : null,
+    createdAt: clock.now(),
+  };
+  if (g.type === 'circle') {
+    const airport = input.icao ? findAirportByIcao(input.icao) : null;
+    g.icao = airport?.icao || null;
+    g.center = airport ? { lat: airport.lat, lon: airport.lon } : toPoint(input.center);
+    g.radiusKm = Number(input.radiusKm);
+  } else if (g.type === 'polygon') {
+    g.points = Array.isArray(input.points) ? input.points.map(toPoint) : [];
+  }
+  return g;
+}
+
+/**
+ * Ray casting in lat/lon. Longitudes are unwrapped along the ring so polygons spanning the
+ * antimeridian work, and the point is tried at lon and lon ± 360.
+ */
+function isPointInPolygon(lat, lon, points) {
+  const ring = [];
+  for (const p of points) {
+    let x = p.lon;
+    if (ring.length) {
+      const prev = ring[ring.length - 1].x;
+      while (x - prev > 180) x -= 360;
+      while (x - prev < -180) x += 360;
+    }
+    ring.push({ x, y: p.lat });
+  }
+  const test = (x) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const a = ring[i], b = ring[j];
+      if ((a.y > lat) !== (b.y > lat) && x < ((b.x - a.x) * (lat - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+    }
+    return inside;
+  };
+  return test(lon) || test(lon + 360) || test(lon - 360);
+}
+
+function isInsideGeofence(g, pos) {
+  if (g.floorFt != null && (pos.alt_ft == null || pos.alt_ft < g.floorFt)) return false;
+  if (g.ceilingFt != null && (pos.alt_ft == null || pos.alt_ft > g.ceilingFt)) return false;
+  if (g.type === 'circle') return getDistanceKm(pos.lat, pos.lon, g.center.lat, g.center.lon) <= g.radiusKm;
+  return isPointInPolygon(pos.lat, pos.lon, g.points);
+}
+
+/**
+ * Compares the tracker's current position with every geofence and reports crossings.
+ * Per-fence state lives in t.geofences: { [geofenceId]: { inside, since } }.
+ */
+function checkGeofences(t, now) {
+  const pos = t.flight?.position;
+  if (!pos || typeof pos.lat !== 'number' || typeof pos.lon !== 'number') return;
+  const state = t.geofences || (t.geofences = {});
+
+  for (const id of Object.keys(state)) {
+    if (!geofences.some(g => g.id === id)) delete state[id];
+  }
+
+  for (const g of geofences) {
+    const inside = isInsideGeofence(g, pos);
+    const prev = state[g.id];
+    if (prev && prev.inside === inside) continue;
+    state[g.id] = { inside, since: now };
+    if (!prev && !inside) continue;
+
+    const event = inside ? 'geofence_enter' : 'geofence_exit';
+    const position = { lat: pos.lat, lon: pos.lon, alt_ft: pos.alt_ft };
+    const geofence = { id: g.id, name: g.name, type: g.type, icao: g.icao || null };
+    addHistory(t, { event, timestamp: now, geofenceId: g.id, geofenceName: g.name, position, ...(prev ? {} : { initial: true }) });
+    logFor(t).info(inside ? 'geofence entered' : 'geofence left', { geofenceId: g.id, geofence: g.name });
+    notifyCallback(t, { reason: event, geofence, initial: !prev, flight: t.flight });
+  }
+}
+
+function formatGeofence(g) {
+  return { ...g, createdAt: toIso(g.createdAt) };
+}
+
+
+/* =========================
+ * ATC coverage
+ * =========================
+ * Tracked flights are annotated (t.atc) with the facilities open at their departure and
+ * arrival airports, from the per-session ATC cache. Separately, watched ICAOs are scanned
+ * every ATC_SCAN_MS: each facility that opens or closes there sends an atc_open/atc_close
+ * callback on the watch and is recorded in atcHistory with its start and end times.
+ */
+const ATC_FACILITY_TYPES = ['Ground', 'Tower', 'Unicom', 'Clearance', 'Approach', 'Departure', 'Center', 'ATIS', 'Aircraft', 'Recorded', 'Unknown', 'Unused'];
+
+let atcWatches = [];  // { id, type: 'atc_watch', icao, server, callbackUrl, open: { [frequencyId]: facility }, deliveries }
+let atcHistory = [];  // { frequencyId, icao, server, type, typeName, username, userId, startTime, endTime }
+let atcScanInFlight = false;
+
+function simplifyAtcFacility(f) {
+  return {
+    frequencyId: f?.frequencyId || null,
+    icao: f?.airportName ? String(f.airportName).toUpperCase() : null,
+    type: typeof f?.type === 'number' ? f.type : null,
+    typeName: ATC_FACILITY_TYPES[f?.type] || 'Unknown',
+    username: f?.username || null,
+    userId: f?.userId || null,
+    startTime: f?.startTime ? toIso(Date.parse(f.startTime)) : null,
+  };
+}
+
+function atcAtAirport(facilities, icao) {
+  if (!icao) return [];
+  return facilities.filter(f => f.icao === icao);
+}
+
+/**
+ * Simplified ATC facilities for a session, or null when the fetch failed.
+ */
+async function getSessionAtc(sessionId) {
+  try {
+    return (await getActiveATCCached(sessionId)).value.map(simplifyAtcFacility);
+  } catch (e) {
+    log.warn('ATC fetch failed', { sessionId, error: e.message });
+    return null;
+  }
+}
+
+/**
+ * Departure is the filed origin, else the airport nearest the first position seen;
+ * arrival is the filed destination, if any.
+ */
+function getTrackerAirports(t) {
+  const departureIcao = t.plannedRoute?.origin
+    || (t.firstPosition ? findNearestAirport(t.firstPosition.lat, t.firstPosition.lon).airport?.icao : null)
+    || null;
+  return { departureIcao, arrivalIcao: t.plannedRoute?.destination || null };
+}
+
+function annotateTrackerAtc(t, facilities, now) {
+  const { departureIcao, arrivalIcao } = getTrackerAirports(t);
+  t.atc = {
+    departure: { icao: departureIcao, facilities: atcAtAirport(facilities, departureIcao) },
+    arrival: { icao: arrivalIcao, facilities: atcAtAirport(facilities, arrivalIcao) },
+    updatedAt: now,
+  };
+}
+
+function loadAtcWatchlist() {
+  try {
+    if (!fs.existsSync(ATC_WATCHLIST_FILE)) return;
+    const parsed = JSON.parse(fs.readFileSync(ATC_WATCHLIST_FILE, 'utf8'));
+    atcWatches = (Array.isArray(parsed?.watches) ? parsed.watches : []).filter(w => w && w.id && w.icao);
+    for (const w of atcWatches) {
+      w.type = 'atc_watch';
+      w.open = w.open || {};
+      w.deliveries = Array.isArray(w.deliveries) ? w.deliveries : [];
+    }
+    atcHistory = Array.isArray(parsed?.history) ? parsed.history : [];
+    log.info('ATC watches loaded', { count: atcWatches.length, file: ATC_WATCHLIST_FILE });
+  } catch (e) {
+    log.error('could not read the ATC watchlist, starting empty', { file: ATC_WATCHLIST_FILE, error: e?.message });
+    atcWatches = [];
+    atcHistory = [];
+  }
+}
+
+function saveAtcWatchlist() {
+  const tmpPath = `${ATC_WATCHLIST_FILE}.tmp`;
+  fs.mkdirSync(path.dirname(ATC_WATCHLIST_FILE), { recursive: true });
+  fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, watches: atcWatches, history: atcHistory }, null, 2), 'utf8');
+  fs.renameSync(tmpPath, ATC_WATCHLIST_FILE);
+}
+
+function notifyAtcWatch(watch, payload) {
+  const url = watch.callbackUrl || DEFAULT_CALLBACK_URL;
+  if (!url) return null;
+  return enqueueDelivery(watch, url, { watchId: watch.id, icao: watch.icao, server: watch.server, ...payload });
+}
+
+/**
+ * Diffs one watch against the facilities now open on its server. A facility already open
+ * when the watch is created is reported as opened, flagged `initial`.
+ */
+function diffAtcWatch(watch, facilities, now) {
+  const current = new Map(atcAtAirport(facilities, watch.icao).map(f => [f.frequencyId, f]));
+  const isFirstScan = !watch.lastScanAt;
+  let changed = false;
+
+  for (const [frequencyId, f] of current) {
+    if (watch.open[frequencyId]) continue;
+    watch.open[frequencyId] = f;
+    changed = true;
+    const known = atcHistory.find(h => h.frequencyId === frequencyId && h.server === watch.server && !h.endTime);
+    if (!known) atcHistory.push({ ...f, server: watch.server, endTime: null });
+    log.info('ATC frequency opened', { atcWatchId: watch.id, icao: watch.icao, server: watch.server, type: f.typeName, controller: f.username });
+    notifyAtcWatch(watch, { reason: 'atc_open', facility: f, initial: isFirstScan });
+  }
+
+  for (const [frequencyId, f] of Object.entries(watch.open)) {
+    if (current.has(frequencyId)) continue;
+    delete watch.open[frequencyId];
+    changed = true;
+    const endTime = toIso(now);
+    for (const h of atcHistory) {
+      if (h.frequencyId === frequencyId && h.server === watch.server && !h.endTime) h.endTime = endTime;
+    }
+    log.info('ATC frequency closed', { atcWatchId: watch.id, icao: watch.icao, server: watch.server, type: f.typeName });
+    notifyAtcWatch(watch, { reason: 'atc_close', facility: { ...f, endTime } });
+  }
+
+  watch.lastScanAt = now;
+  return changed;
+}
+
+async function scanAtcWatchlist() {
+  if (atcScanInFlight || !atcWatches.length || isBreakerOpen()) return;
+  atcScanInFlight = true;
+  try {
+    const now = clock.now();
+    const sessions = (await getSessionsCached()).value;
+    let changed = false;
+    for (const server of new Set(atcWatches.map(w => w.server))) {
+      const sessionId = pickSessionIdByName(sessions, server);
+      const facilities = sessionId ? await getSessionAtc(sessionId) : null;
+      if (!facilities) continue;
+      for (const w of atcWatches.filter(x => x.server === server)) {
+        if (diffAtcWatch(w, facilities, now)) changed = true;
+      }
+    }
+    if (changed) {
+      if (atcHistory.length > ATC_HISTORY_LIMIT) atcHistory = atcHistory.slice(-ATC_HISTORY_LIMIT);
+      saveAtcWatchlist();
+    }
+  } catch (e) {
+    log.warn('ATC watchlist scan failed', { error: e?.message });
+  } finally {
+    atcScanInFlight = false;
+  }
+}
+
+function formatAtcWatch(w) {
+  return {
+    id: w.id,
+    icao: w.icao,
+    server: w.server,
+    callbackUrl: w.callbackUrl || null,
+    createdAt: toIso(w.createdAt),
+    lastScanAt: toIso(w.lastScanAt),
+    open: Object.values(w.open || {}),
+  };
+}
+
+
+/* =========================
+ * NOTAM relevance
+ * =========================
+ * A NOTAM is relevant to a tracked flight when it is tied to the departure or arrival
+ * airport, or its area (radius plus NOTAM_ROUTE_BUFFER_KM) touches the filed route, and
+ * it is in effect during the flight window: first seen online until landing, or until
+ * NOTAM_LOOKAHEAD_MS from now while the flight is active.
+ */
+const NOTAM_RADIUS_KM_PER_UNIT = KM_PER_NM; // IF reports NOTAM radii in nautical miles
+const AIRBORNE_PHASES = new Set(['takeoff', 'climb', 'cruise', 'descent', 'approach']);
+
+function simplifyNotam(n) {
+  const hasPosition = typeof n?.latitude === 'number' && typeof n?.longitude === 'number' && (n.latitude !== 0 || n.longitude !== 0);
+  return {
+    id: n?.id || null,
+    title: n?.title || null,
+    message: n?.message || null,
+    author: n?.author || null,
+    icao: n?.icao ? String(n.icao).toUpperCase() : null,
+    lat: hasPosition ? n.latitude : null,
+    lon: hasPosition ? n.longitude : null,
+    radiusKm: typeof n?.radius === 'number' ? n.radius * NOTAM_RADIUS_KM_PER_UNIT : null,
+    floorFt: typeof n?.floor === 'number' ? n.floor : null,
+    ceilingFt: typeof n?.ceiling === 'number' ? n.ceiling : null,
+    startTime: n?.startTime ? toIso(Date.parse(n.startTime)) : null,
+    endTime: n?.endTime ? toIso(Date.parse(n.endTime)) : null,
+  };
+}
+
+/**
+ * Shortest distance from a point to a polyline of { lat, lon }, in km. Uses a local
+ * equirectangular projection around the point, which is plenty for a yes/no buffer test.
+ */
+function getDistanceToRouteKm(lat, lon, points) {
+  if (!points.length) return Infinity;
+  const cosLat = Math.cos(lat * Math.PI / 180);
+  const project = (p) => {
+    let dLon = p.lon - lon;
+    if (dLon > 180) dLon -= 360;
+    if (dLon < -180) dLon += 360;
+    return { x: dLon * cosLat * EARTH_RADIUS_KM * Math.PI / 180, y: (p.lat - lat) * EARTH_RADIUS_KM * Math.PI / 180 };
+  };
+  const xy = points.map(project);
+  if (xy.length === 1) return Math.hypot(xy[0].x, xy[0].y);
+  let best = Infinity;
+  for (let i = 1; i < xy.length; i++) {
+    const a = xy[i - 1], b = xy[i];
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const lenSq = dx * dx + dy * dy;
+    const k = lenSq ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lenSq)) : 0;
+    best = Math.min(best, Math.hypot(a.x + k * dx, a.y + k * dy));
+  }
+  return best;
+}
+
+function getFlightWindow(t, now) {
+  const online = t.history.find(h => h.event === 'online');
+  const start = online ? online.timestamp : t.startedAt;
+  const active = t.status === 'searching' || t.status === 'tracking';
+  const landed = t.touchdown?.timestamp || t.history.find(h => h.event === 'landed')?.timestamp;
+  const end = active ? now + NOTAM_LOOKAHEAD_MS : (landed || t.lastSeenAt || now);
+  return { start, end };
+}
+
+/**
+ * Relevant NOTAMs for a tracker, each with `relevance` listing why:
+ * departure, arrival and/or route.
+ */
+function getRelevantNotams(t, notams, now) {
+  const { departureIcao, arrivalIcao } = getTrackerAirports(t);
+  const routePoints = t.flightPlan?.waypoints?.length
+    ? t.flightPlan.waypoints
+    : [departureIcao, arrivalIcao].map(findAirportByIcao).filter(Boolean);
+  const window = getFlightWindow(t, now);
+
+  const relevant = [];
+  for (const n of notams.map(simplifyNotam)) {
+    const starts = n.startTime ? Date.parse(n.startTime) : -Infinity;
+    const ends = n.endTime ? Date.parse(n.endTime) : Infinity;
+    if (ends < window.start || starts > window.end) continue;
+
+    const relevance = [];
+    if (n.icao && n.icao === departureIcao) relevance.push('departure');
+    if (n.icao && n.icao === arrivalIcao) relevance.push('arrival');
+    if (n.lat != null && n.lon != null && getDistanceToRouteKm(n.lat, n.lon, routePoints) <= (n.radiusKm || 0) + NOTAM_ROUTE_BUFFER_KM) {
+      relevance.push('route');
+    }
+    if (relevance.length) relevant.push({ ...n, relevance });
+  }
+  return relevant;
+}
+
+/**
+ * While the flight is airborne, sends NOTAMs that weren't relevant at the previous check.
+ * The first airborne check reports everything relevant at that point.
+ */
+async function checkNotams(t, sessionId, now) {
+  if (!t.notamCallbacks || !AIRBORNE_PHASES.has(t.phase)) return;
+  if (now - (t.notamsCheckedAt || 0) < NOTAM_CHECK_MS) return;
+  t.notamsCheckedAt = now;
+
+  let notams;
+  try {
+    notams = (await getNotamsCached(sessionId)).value;
+  } catch (e) {
+    logFor(t).warn('NOTAM fetch failed', { error: e.message });
+    return;
+  }
+  const relevant = getRelevantNotams(t, notams, now);
+  const seen = new Set(t.notamIds || []);
+  const fresh = relevant.filter(n => n.id && !seen.has(n.id));
+  t.notamIds = relevant.map(n => n.id).filter(Boolean);
+  if (!fresh.length) return;
+
+  addHistory(t, { event: 'notams', timestamp: now, notamIds: fresh.map(n => n.id) });
+  logFor(t).debug('new relevant NOTAMs', { count: fresh.length });
+  notifyCallback(t, { reason: 'notams', notams: fresh, flight: t.flight });
+}
+
+
+/* =========================
+ * Webhook delivery
+ * =========================
+ * Every callback is recorded as a delivery on its owner, a tracker or an ATC watch, and
+ * is persisted with it.
+ * Requests carry:
+ *   x-acars-delivery   unique delivery id (receivers should ignore ids they've already seen)
+ *   x-acars-event      the callback reason
+ *   x-acars-timestamp  unix seconds at send time
+ *   x-acars-signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed by TRACK_WEBHOOK_SECRET>
+ * Receivers should recompute the signature and reject timestamps more than a few minutes old.
+ */
+const deliveriesInFlight = new Set(); // delivery ids currently being sent
+
+function signWebhook(body, timestamp) {
+  return crypto.createHmac('sha256', TRACK_WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Exponential backoff with "equal jitter": half the delay is fixed, half is random.
+ */
+function getWebhookBackoffMs(attempts) {
+  const delay = Math.min(WEBHOOK_BACKOFF_BASE_MS * 2 ** (attempts - 1), WEBHOOK_BACKOFF_MAX_MS);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+function isRetryableDeliveryError(e) {
+  const status = e?.response?.status;
+  if (!status) return true; // network error or timeout
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function describeDeliveryOwner(owner) {
+  return owner.type === 'atc_watch' ? `ATC watch ${owner.icao}` : pilotLabel(owner);
+}
+
+function logForDeliveryOwner(owner) {
+  return owner.type === 'atc_watch'
+    ? createLogger(() => ({ atcWatchId: owner.id, icao: owner.icao, server: owner.server }))
+    : logFor(owner);
+}
+
+// Called from fire-and-forget deliveries, so a failed write is logged rather than thrown.
+function saveDeliveryOwner(owner) {
+  if (owner.type !== 'atc_watch') return saveTrackers();
+  try {
+    saveAtcWatchlist();
+  } catch (e) {
+    log.error('failed to save ATC watchlist after a delivery', { file: ATC_WATCHLIST_FILE, atcWatchId: owner.id, error: e?.message });
+  }
+}
+
+function trimDeliveryLog(t) {
+  const excess = t.deliveries.length - WEBHOOK_LOG_LIMIT;
+  if (excess <= 0) return;
+  let toDrop = excess;
+  t.deliveries = t.deliveries.filter(d => {
+    if (toDrop > 0 && d.status !== 'pending') {
+      toDrop -= 1;
+      return false;
+    }
+    return true;
+  });
+}
+
+function formatDelivery(d, { includePayload = false } = {}) {
+  return {
+    id: d.id,
+    event: d.event,
+    url: d.url,
+    status: d.status,
+    attempts: d.attempts,
+    lastStatusCode: d.lastStatusCode,
+    lastError: d.lastError,
+    createdAt: toIso(d.createdAt),
+    lastAttemptAt: toIso(d.lastAttemptAt),
+    nextAttemptAt: toIso(d.nextAttemptAt),
+    deliveredAt: toIso(d.deliveredAt),
+    redeliveryOf: d.redeliveryOf || null,
+    ...(includePayload ? { payload: d.payload } : {}),
+  };
+}
+
+async function attemptDelivery(t, d) {
+  if (deliveriesInFlight.has(d.id)) return;
+  deliveriesInFlight.add(d.id);
+
+  const body = JSON.stringify(d.payload);
+  const timestamp = Math.floor(clock.now() / 1000);
+  const headers = {
+    'Content-Type': 'application/json',
+    'x-acars-delivery': d.id,
+    'x-acars-event': d.event,
+    'x-acars-timestamp': String(timestamp),
+  };
+  if (TRACK_WEBHOOK_SECRET) headers['x-acars-signature'] = `sha256=${signWebhook(body, timestamp)}`;
+
+  d.attempts += 1;
+  d.lastAttemptAt = clock.now();
+  try {
+    // Send the exact string we signed; axios would otherwise re-serialize it.
+    const res = await axios.post(d.url, body, { timeout: WEBHOOK_TIMEOUT_MS, headers, transformRequest: [data => data] });
+    d.status = 'delivered';
+    callbackResults.inc({ event: d.event, result: 'success' });
+    d.deliveredAt = clock.now();
+    d.lastStatusCode = res.status;
+    d.lastError = null;
+    d.nextAttemptAt = null;
+  } catch (e) {
+    d.lastStatusCode = e?.response?.status || null;
+    d.lastError = e?.message || 'unknown error';
+    if (!isRetryableDeliveryError(e) || d.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      callbackResults.inc({ event: d.event, result: 'dead_letter' });
+      d.status = 'dead_letter';
+      d.nextAttemptAt = null;
+      logForDeliveryOwner(t).warn('callback dead-lettered', { event: d.event, deliveryId: d.id, attempts: d.attempts, error: d.lastError });
+    } else {
+      callbackResults.inc({ event: d.event, result: 'failure' });
+      d.nextAttemptAt = clock.now() + getWebhookBackoffMs(d.attempts);
+      logForDeliveryOwner(t).warn('callback failed, will retry', { event: d.event, deliveryId: d.id, attempts: d.attempts, retryAt: toIso(d.nextAttemptAt), error: d.lastError });
+    }
+  } finally {
+    deliveriesInFlight.delete(d.id);
+    saveDeliveryOwner(t);
+  }
+}
+
+/**
+ * Records a delivery of `payload` for the tracker and makes the first attempt right away.
+ */
+function enqueueDelivery(t, url, payload, extra = {}) {
+  if (!Array.isArray(t.deliveries)) t.deliveries = [];
+  const id = newId();
+  const d = {
+    id,
+    event: payload.reason || 'tracker_created',
+    url,
+    payload: { deliveryId: id, ...payload },
+    status: 'pending',
+    attempts: 0,
+    lastStatusCode: null,
+    lastError: null,
+    createdAt: clock.now(),
+    lastAttemptAt: null,
+    nextAttemptAt: clock.now(),
+    deliveredAt: null,
+    ...extra,
+  };
+  t.deliveries.push(d);
+  trimDeliveryLog(t);
+  return attemptDelivery(t, d).then(() => d);
+}
+
+async function notifyCallback(tracker, payload) {
+  const url = tracker.callbackUrl || DEFAULT_CALLBACK_URL;
+  if (!url) return null;
+  return enqueueDelivery(tracker, url, {
+    trackerId: tracker.id,
+    username: tracker.username,
+    userId: tracker.userId || null,
+    server: tracker.server,
+    status: tracker.status,
+    ...payload,
+  });
+}
+
+/**
+ * Sends a fresh copy of an earlier delivery. It gets a new delivery id so receivers that
+ * de-duplicate on x-acars-delivery still accept it.
+ */
+function redeliver(t, original) {
+  const { deliveryId, ...payload } = original.payload;
+  return enqueueDelivery(t, original.url, payload, { event: original.event, redeliveryOf: original.id });
+}
+
+function processDueDeliveries() {
+  const now = clock.now();
+  for (const t of [...trackers.values(), ...atcWatches]) {
+    if (!Array.isArray(t.deliveries)) continue;
+    for (const d of t.deliveries) {
+      if (d.status === 'pending' && d.nextAttemptAt && d.nextAttemptAt <= now) {
+        attemptDelivery(t, d);
+      }
+    }
+  }
+}
+
+/* =========================
+ * Virtual airline rules
+ * =========================
+ * A rule starts a tracker automatically for every flight on its servers that matches
+ * it. Rule fields (all optional except that at least one matcher is required):
+ *   callsignSuffix, callsignRegex   callsign matches if either one does
+ *   virtualOrganization             exact, case-insensitive
+ *   servers                         server names, defaults to [DEFAULT_IF_SERVER]
+ *   callbackUrl, phaseCallbacks     passed on to the trackers it starts
+ */
+let vaRules = [];
+const lastVaScanAt = new Map(); // server name (lower case) -> ms
+const vaCallsignPatterns = new WeakMap(); // rule -> its callsignRegex, compiled once
+
+function loadVaRules() {
+  try {
+    if (!fs.existsSync(VA_RULES_FILE)) return;
+    const parsed = JSON.parse(fs.readFileSync(VA_RULES_FILE, 'utf8'));
+    vaRules = (Array.isArray(parsed?.rules) ? parsed.rules : []).filter(r => r && r.id && !validateVaRule(r)).map(compileVaRule);
+    log.info('VA rules loaded', { count: vaRules.length, file: VA_RULES_FILE });
+  } catch (e) {
+    log.error('could not read VA rules, auto-tracking is disabled', { file: VA_RULES_FILE, error: e?.message });
+    vaRules = [];
+  }
+}
+
+function saveVaRules() {
+  const tmpPath = `${VA_RULES_FILE}.tmp`;
+  fs.mkdirSync(path.dirname(VA_RULES_FILE), { recursive: true });
+  fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, rules: vaRules }, null, 2), 'utf8');
+  fs.renameSync(tmpPath, VA_RULES_FILE);
+}
+
+/**
+ * Returns an error message for an invalid rule, or null.
+ */
+function validateVaRule(r) {
+  if (!r.callsignSuffix && !r.callsignRegex && !r.virtualOrganization) {
+    return 'a rule needs callsignSuffix, callsignRegex or virtualOrganization';
+  }
+  if (r.callsignRegex) {
+    try {
+      new RegExp(r.callsignRegex, 'i');
+    } catch (e) {
+      return `invalid callsignRegex: ${e.message}`;
+    }
+  }
+  if (r.servers != null && (!Array.isArray(r.servers) || r.servers.some(sv => typeof sv !== 'string' || !sv.trim()))) {
+    return 'servers must be an array of server names';
+  }
+  return null;
+}
+
+function compileVaRule(rule) {
+  if (rule.callsignRegex) vaCallsignPatterns.set(rule, new RegExp(rule.callsignRegex, 'i'));
+  return rule;
+}
+
+function normalizeVaRule(input) {
+  return compileVaRule({
+    id: newId(),
+    name: String(input.name || '').trim() || null,
+    callsignSuffix: input.callsignSuffix ? String(input.callsignSuffix).trim() : null,
+    callsignRegex: input.callsignRegex ? String(input.callsignRegex) : null,
+    virtualOrganization: input.virtualOrganization ? String(input.virtualOrganization).trim() : null,
+    servers: Array.isArray(input.servers) && input.servers.length ? input.servers.map(sv => sv.trim()) : [DEFAULT_IF_SERVER],
+    callbackUrl: input.callbackUrl ? String(input.callbackUrl).trim() : null,
+    phaseCallbacks: typeof input.phaseCallbacks === 'boolean' ? input.phaseCallbacks : undefined,
+    enabled: input.enabled !== false,
+    createdAt: clock.now(),
+  });
+}
+
+function flightMatchesVaRule(rule, f) {
+  const callsign = String(f.callsign || '').toUpperCase();
+  if (rule.callsignSuffix || rule.callsignRegex) {
+    const bySuffix = rule.callsignSuffix && callsign.endsWith(rule.callsignSuffix.toUpperCase());
+    const byRegex = vaCallsignPatterns.get(rule)?.test(callsign);
+    if (!bySuffix && !byRegex) return false;
+  }
+  if (rule.virtualOrganization) {
+    if (String(f.virtualOrganization || '').toLowerCase() !== rule.virtualOrganization.toLowerCase()) return false;
+  }
+  return true;
+}
+
+/**
+ * Server names with at least one enabled rule whose scan is due. pollOnce marks a server
+ * scanned once its flights were fetched, so a failed fetch is retried on the next tick.
+ */
+function getVaServersDueForScan(now) {
+  const due = new Map();
+  for (const rule of vaRules) {
+    if (!rule.enabled) continue;
+    for (const server of rule.servers) {
+      const key = server.toLowerCase();
+      if (!due.has(key) && now - (lastVaScanAt.get(key) || 0) >= VA_SCAN_MS) due.set(key, server);
+    }
+  }
+  return [...due.values()];
+}
+
+/**
+ * Starts trackers for matching flights on a server. A flight that any tracker has
+ * already locked onto is skipped, so a landed or stopped VA flight isn't picked up again.
+ */
+function autoTrackVaFlights(server, flights) {
+  const rules = vaRules.filter(r => r.enabled && r.servers.some(sv => sv.toLowerCase() === server.toLowerCase()));
+  if (!rules.length) return [];
+
+  const knownFlightIds = new Set([...trackers.values()].map(t => t.lastKnownFlight?.flightId).filter(Boolean));
+  const started = [];
+  for (const f of flights) {
+    if ((!f.username && !f.userId) || (f.flightId && knownFlightIds.has(f.flightId))) continue;
+    const rule = rules.find(r => flightMatchesVaRule(r, f));
+    if (!rule) continue;
+    const sizeBefore = trackers.size;
+    const [t] = addTrackers({
+      username: f.username,
+      userId: f.userId,
+      server,
+      callbackUrl: rule.callbackUrl || undefined,
+      phaseCallbacks: rule.phaseCallbacks,
+      source: { type: 'va_rule', ruleId: rule.id, ruleName: rule.name, callsign: f.callsign || null },
+    });
+    if (t && trackers.size > sizeBefore) {
+      started.push(t);
+      log.info('auto-tracking flight', { server, username: f.username, userId: f.userId, callsign: f.callsign, ruleId: rule.id, rule: rule.name });
+    }
+  }
+  return started;
+}
+
+
+/* =========================
+ * Rules profiles
+ * =========================
+ * The landing check, search timeout and searching backoff read their limits from the
+ * tracker's rules (t.rules), so helicopters, bush planes and heavies can each get their own.
+ * A tracker's rules are built from, highest precedence first:
+ *   rules          overrides given to POST /track/start
+ *   rulesProfile   the profile named at start, else the profile listing the flight's aircraftId
+ *   DEFAULT_RULES  the LANDED_* constants, SEARCH_TIMEOUT_MS and SEARCH_BACKOFF
+ * A profile only overrides the fields it sets. Rules are resolved when the tracker starts and
+ * again whenever it locks onto a flight, then kept on the tracker, so editing profiles never
+ * changes the rules of a flight already in progress.
+ */
+const DEFAULT_RULES = {
+  landedAglFt: LANDED_ALTITUDE_AGL_FT,
+  landedSpeedKt: LANDED_SPEED_KT,
+  landedProximityKm: LANDED_PROXIMITY_KM,
+  searchTimeoutMs: SEARCH_TIMEOUT_MS,
+  searchBackoff: SEARCH_BACKOFF,
+};
+const RULE_NUMBER_FIELDS = ['landedAglFt', 'landedSpeedKt', 'landedProximityKm', 'searchTimeoutMs'];
+
+let rulesProfiles = [];
+
+function loadRulesProfiles() {
+  try {
+    if (!fs.existsSync(RULES_PROFILES_FILE)) return;
+    const parsed = JSON.parse(fs.readFileSync(RULES_PROFILES_FILE, 'utf8'));
+    rulesProfiles = (Array.isArray(parsed?.profiles) ? parsed.profiles : []).filter(p => p && p.id && p.name && !validateRules(p.rules || {}));
+    log.info('rules profiles loaded', { count: rulesProfiles.length, file: RULES_PROFILES_FILE });
+  } catch (e) {
+    log.error('could not read rules profiles, using the default rules', { file: RULES_PROFILES_FILE, error: e?.message });
+    rulesProfiles = [];
+  }
+}
+
+function saveRulesProfiles() {
+  const tmpPath = `${RULES_PROFILES_FILE}.tmp`;
+  fs.mkdirSync(path.dirname(RULES_PROFILES_FILE), { recursive: true });
+  fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, profiles: rulesProfiles }, null, 2), 'utf8');
+  fs.renameSync(tmpPath, RULES_PROFILES_FILE);
+}
+
+/**
+ * Returns an error message for invalid rules, or null. Every field is optional.
+ */
+function validateRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) return 'rules must be an object';
+  const unknown = Object.keys(rules).filter(key => !(key in DEFAULT_RULES));
+  if (unknown.length) return `unknown rules: ${unknown.join(', ')} (allowed: ${Object.keys(DEFAULT_RULES).join(', ')})`;
+  const isPositive = (v) => typeof v === 'number' && Number.isFinite(v) && v > 0;
+  for (const key of RULE_NUMBER_FIELDS) {
+    if (rules[key] != null && !isPositive(rules[key])) return `${key} must be a positive number`;
+  }
+  const steps = rules.searchBackoff;
+  if (steps != null) {
+    if (!Array.isArray(steps) || !steps.length) return 'searchBackoff must be a non-empty array of { seenWithinMs, pollMs }';
+    for (let i = 0; i < steps.length; i++) {
+      if (!isPositive(steps[i]?.pollMs)) return 'every searchBackoff step needs a positive pollMs';
+      const limit = steps[i].seenWithinMs;
+      if (limit == null ? i < steps.length - 1 : !isPositive(limit) || limit <= (steps[i - 1]?.seenWithinMs || 0)) {
+        return 'searchBackoff seenWithinMs must increase from step to step; only the last step may leave it out';
+      }
+    }
+  }
+  return null;
+}
+
+// The rule fields that are set, in the shape DEFAULT_RULES uses.
+function pickRules(rules) {
+  const picked = {};
+  for (const key of Object.keys(DEFAULT_RULES)) {
+    if (rules?.[key] == null) continue;
+    picked[key] = key === 'searchBackoff'
+      ? rules.searchBackoff.map(step => (step.seenWithinMs == null ? { pollMs: step.pollMs } : { seenWithinMs: step.seenWithinMs, pollMs: step.pollMs }))
+      : rules[key];
+  }
+  return picked;
+}
+
+function findRulesProfile(name) {
+  const key = String(name || '').trim().toLowerCase();
+  return rulesProfiles.find(p => p.name.toLowerCase() === key) || null;
+}
+
+function findRulesProfileForAircraft(aircraftId) {
+  return aircraftId ? rulesProfiles.find(p => (p.aircraftIds || []).includes(aircraftId)) || null : null;
+}
+
+/**
+ * Returns an error message for an invalid profile, or null. Names are unique and an
+ * aircraft can only belong to one profile.
+ */
+function validateRulesProfile(p) {
+  const name = String(p.name || '').trim();
+  if (!name) return 'a profile needs a name';
+  if (name.toLowerCase() === 'default') return '"default" is reserved for the built-in rules';
+  if (findRulesProfile(name)) return `a profile named "${name}" already exists`;
+  if (p.aircraftIds != null && (!Array.isArray(p.aircraftIds) || p.aircraftIds.some(id => typeof id !== 'string' || !id.trim()))) {
+    return 'aircraftIds must be an array of IF aircraft ids';
+  }
+  for (const id of p.aircraftIds || []) {
+    const other = findRulesProfileForAircraft(id.trim());
+    if (other) return `aircraft ${id} already uses profile "${other.name}"`;
+  }
+  return validateRules(p.rules ?? {});
+}
+
+function normalizeRulesProfile(input) {
+  return {
+    id: newId(),
+    name: String(input.name).trim(),
+    description: input.description ? String(input.description).trim() : null,
+    aircraftIds: [...new Set((input.aircraftIds || []).map(id => id.trim()))],
+    rules: pickRules(input.rules),
+    createdAt: clock.now(),
+  };
+}
+
+/**
+ * The rules in effect for a tracker, with the profile they came from: `source` is request
+ * (named at start), aircraft (matched on the flight's aircraftId) or default.
+ */
+function resolveTrackerRules(t) {
+  let profile = null;
+  let source = 'default';
+  if (t.rulesProfile) {
+    profile = findRulesProfile(t.rulesProfile);
+    if (profile) source = 'request';
+  } else {
+    profile = findRulesProfileForAircraft(t.flight?.aircraft?.aircraftId);
+    if (profile) source = 'aircraft';
+  }
+  const overrides = t.rulesOverrides || {};
+  return {
+    profile: profile ? profile.name : 'default',
+    source,
+    overrides: Object.keys(overrides),
+    ...DEFAULT_RULES,
+    ...profile?.rules,
+    ...overrides,
+  };
+}
+
+/**
+ * Stores the tracker's current rules and moves its search timeout to match.
+ */
+function applyTrackerRules(t) {
+  const previous = t.rules?.profile;
+  t.rules = resolveTrackerRules(t);
+  t.timeoutAt = t.startedAt + t.rules.searchTimeoutMs;
+  if (previous && previous !== t.rules.profile) {
+    logFor(t).info('rules profile changed', { previous, profile: t.rules.profile, source: t.rules.source });
+  }
+}
+
+/**
+ * How long to wait before polling for a missing pilot again.
+ */
+function getSearchPollMs(rules, sinceSeenMs) {
+  const steps = rules.searchBackoff;
+  const step = steps.find(s => s.seenWithinMs == null || sinceSeenMs < s.seenWithinMs) || steps[steps.length - 1];
+  return step.pollMs;
+}
+
+/* =========================
+ * Tracking engine
+ * ========================= */
+function addTrackers(input) {
+  const now = clock.now();
+  const created = [];
+  const shared = {
+    server: input.server,
+    callbackUrl: input.callbackUrl,
+    phaseCallbacks: input.phaseCallbacks,
+    notamCallbacks: input.notamCallbacks,
+    source: input.source,
+    rulesProfile: input.rulesProfile,
+    rules: input.rules,
+  };
+  const list = [
+    ...(Array.isArray(input.usernames) ? input.usernames.map(u => ({ ...shared, username: u })) : []),
+    ...(Array.isArray(input.userIds) ? input.userIds.map(id => ({ ...shared, userId: id })) : []),
+  ];
+  if (!list.length) list.push({ ...shared, username: input.username, userId: input.userId });
+
+  for (const item of list) {
+    const username = String(item.username || '').trim() || null;
+    const userId = String(item.userId || '').trim() || null;
+    if (!username && !userId) continue;
+    const server = (item.server || DEFAULT_IF_SERVER).trim();
+    const callbackUrl = (item.callbackUrl || DEFAULT_CALLBACK_URL || '').trim();
+
+    const existing = [...trackers.values()].find(t =>
+      isSamePilot(t, { username, userId }) &&
       t.server.toLowerCase() === server.toLowerCase() &&
       (t.status === 'searching' || t.status === 'tracking')
     );
@@ -455,38 +2695,130 @@ function addTrackers(input) {
     const t = {
       id,
       username,
+      userId,
+      userLookupAt: 0,
       server,
       callbackUrl: callbackUrl || null,
+      phaseCallbacks: typeof item.phaseCallbacks === 'boolean' ? item.phaseCallbacks : TRACK_PHASE_CALLBACKS,
+      notamCallbacks: typeof item.notamCallbacks === 'boolean' ? item.notamCallbacks : TRACK_NOTAM_CALLBACKS,
+      source: item.source || { type: 'manual' },
+      rulesProfile: item.rulesProfile ? findRulesProfile(item.rulesProfile)?.name || null : null,
+      rulesOverrides: item.rules ? pickRules(item.rules) : null,
       status: 'searching',
+      phase: null,
       startedAt: now,
       lastPolledAt: 0,
       lastSeenAt: 0,
       attempts: 0,
       flight: null,
       lastKnownFlight: null,
-      timeoutAt: now + SEARCH_TIMEOUT_MS,
       nextPollAt: now,
       history: [{ event: 'created', timestamp: now }],
+      deliveries: [],
     };
+    applyTrackerRules(t); // sets rules and timeoutAt
     trackers.set(id, t);
     created.push(t);
+    emitTrackerEvent('created', t);
     notifyCallback(t, {});
   }
+  if (created.length) saveTrackers();
   return created;
 }
 
+// Log label: pilots with a hidden username are known only by their userId
+function pilotLabel(t) {
+  return t.username || `userId:${t.userId}`;
+}
+
+/**
+ * Same pilot if the userIds match; usernames are only compared when either side has no userId.
+ */
+function isSamePilot(t, { username, userId }) {
+  if (t.userId && userId) return t.userId === userId;
+  return !!(t.username && username && t.username.toLowerCase() === username.toLowerCase());
+}
+
+/**
+ * Fills in userId for trackers started by username, and username for trackers started by
+ * userId, with one batched lookup each. Unresolved trackers are retried after
+ * USER_LOOKUP_RETRY_MS and meanwhile fall back to matching by username.
+ */
+async function resolveTrackerIdentities(group, now) {
+  const due = group.filter(t => t.status === 'searching' && (!t.userId || !t.username) && now - (t.userLookupAt || 0) >= USER_LOOKUP_RETRY_MS);
+  if (!due.length) return;
+  const byName = due.filter(t => !t.userId);
+  const byId = due.filter(t => t.userId);
+  for (const t of due) t.userLookupAt = now;
+  try {
+    const [named, ided] = await Promise.all([
+      lookupUsers({ discourseNames: byName.map(t => t.username) }),
+      lookupUsers({ userIds: byId.map(t => t.userId) }),
+    ]);
+    for (const t of byName) {
+      const user = named.find(u => u.username && u.username.toLowerCase() === t.username.toLowerCase());
+      if (!user) continue;
+      t.userId = user.userId;
+      addHistory(t, { event: 'user_resolved', timestamp: now, userId: user.userId, username: t.username });
+      logFor(t).info('username resolved to a userId');
+    }
+    for (const t of byId) {
+      const user = ided.find(u => u.userId === t.userId);
+      if (user?.username) t.username = user.username;
+    }
+  } catch (e) {
+    log.warn('user lookup failed', { trackers: due.length, error: e.message });
+  }
+  stopDuplicateTrackers(due, now);
+}
+
+/**
+ * A tracker started by username and one started by userId only show up as the same pilot
+ * once their identities are resolved. The older tracker carries on; the newer one is stopped.
+ */
+function stopDuplicateTrackers(candidates, now) {
+  for (const t of candidates) {
+    if (t.status !== 'searching') continue;
+    let original = null;
+    for (const other of trackers.values()) { // insertion order, so oldest first
+      if (other === t) break;
+      if ((other.status === 'searching' || other.status === 'tracking') &&
+          other.server.toLowerCase() === t.server.toLowerCase() &&
+          isSamePilot(other, t)) {
+        original = other;
+        break;
+      }
+    }
+    if (!original) continue;
+    setStatus(t, 'stopped');
+    addHistory(t, { event: 'duplicate', timestamp: now, duplicateOf: original.id });
+    emitTrackerEvent('updated', t);
+    logFor(t).info('stopped as a duplicate of an older tracker for the same pilot', { duplicateOf: original.id });
+    notifyCallback(t, { reason: 'duplicate_tracker', duplicateOf: original.id });
+  }
+}
+
 function getActiveTrackers() {
   return [...trackers.values()].filter(t => t.status === 'searching' || t.status === 'tracking');
 }
 
 async function pollOnce() {
-  const now = Date.now();
+  const now = clock.now();
+  pruneFinishedTrackers(now);
 
   const trackersToCheck = [...trackers.values()].filter(t =>
     (t.status === 'searching' || t.status === 'tracking') && now >= t.nextPollAt
   );
+  const stateBefore = new Map(trackersToCheck.map(t => [t.id, trackerStateKey(t)]));
 
-  if (!trackersToCheck.length) return;
+  // During an IF outage, skip the whole cycle instead of queueing requests behind a dead API.
+  if (isBreakerOpen()) {
+    if (trackersToCheck.length) log.debug('IF API circuit open, skipping poll', { trackers: trackersToCheck.length });
+    return;
+  }
+
+  const vaServers = getVaServersDueForScan(now);
+  if (!trackersToCheck.length && !vaServers.length) return;
 
   const byServer = trackersToCheck.reduce((m, t) => {
     const key = t.server.toLowerCase();
@@ -494,35 +2826,54 @@ async function pollOnce() {
     m[key].push(t);
     return m;
   }, {});
+  const vaServerByKey = new Map(vaServers.map(sv => [sv.toLowerCase(), sv]));
+  for (const key of vaServerByKey.keys()) {
+    if (!byServer[key]) byServer[key] = [];
+  }
 
   let sessions = [];
   try {
-    sessions = await getSessions();
+    sessions = (await getSessionsCached()).value;
   } catch (e) {
-    if (TRACK_LOG) console.warn('[track] sessions fetch failed', e?.message);
+    log.warn('sessions fetch failed', { error: e?.message });
     return;
   }
 
   for (const [serverKey, group] of Object.entries(byServer)) {
-    const humanName = group[0]?.server || DEFAULT_IF_SERVER;
+    const humanName = group[0]?.server || vaServerByKey.get(serverKey) || DEFAULT_IF_SERVER;
     const sessionId = pickSessionIdByName(sessions, humanName);
     if (!sessionId) {
-      if (TRACK_LOG) console.warn(`[track] no sessionId for server "${humanName}"`);
+      log.warn('no session for server', { server: humanName });
       continue;
     }
 
     let flights = [];
     try {
-      flights = await getFlightsForSession(sessionId);
+      flights = (await getFlightsCached(sessionId)).value;
     } catch (e) {
-      if (TRACK_LOG) console.warn(`[track] flights fetch failed for server "${humanName}"`, e?.message);
+      log.warn('flights fetch failed', { server: humanName, sessionId, error: e?.message });
       continue;
     }
 
+    // New trackers start as "searching" with nextPollAt = now, so the next tick picks them up.
+    if (vaServerByKey.has(serverKey)) {
+      lastVaScanAt.set(serverKey, now);
+      autoTrackVaFlights(humanName, flights);
+    }
+
+    await resolveTrackerIdentities(group, now);
+
+    let sessionAtc; // fetched once per server, when the first tracked flight needs it
+
+    const byUserId = new Map();
     const byUsername = new Map();
     const byFlightId = new Map();
     for (const f of flights) {
       if (f.flightId) byFlightId.set(f.flightId, f);
+      if (f.userId) {
+          if (!byUserId.has(f.userId)) byUserId.set(f.userId, []);
+          byUserId.get(f.userId).push(f);
+      }
       const u = (f.username || '').toLowerCase();
       if (u) {
           if (!byUsername.has(u)) byUsername.set(u, []);
@@ -531,6 +2882,7 @@ async function pollOnce() {
     }
 
     for (const t of group) {
+      if (t.status === 'stopped') continue; // a duplicate stopped by resolveTrackerIdentities
       t.attempts += 1;
       t.lastPolledAt = now;
       
@@ -551,10 +2903,17 @@ async function pollOnce() {
           // Do NOT fall back to a username search.
           match = byFlightId.get(t.lastKnownFlight.flightId);
       } else if (t.status === 'searching') {
-          // If we're in the initial "searching" phase, find any flight for the user to begin tracking.
-          const userFlights = byUsername.get(t.username.toLowerCase());
+          // If we're in the initial "searching" phase, find the user's flight to begin tracking.
+          // Prefer the stable userId; the username is only a fallback until it has been resolved.
+          const userFlights = t.userId
+            ? byUserId.get(t.userId)
+            : (t.username ? byUsername.get(t.username.toLowerCase()) : null);
           if (userFlights && userFlights.length) {
-              match = userFlights[0];
+              // Several flights (e.g. a stale session) -> take the most recent report.
+              match = userFlights.reduce((a, b) => (Date.parse(b.lastReport) || 0) > (Date.parse(a.lastReport) || 0) ? b : a);
+              if (userFlights.length > 1) {
+                logFor(t).warn('several flights for this pilot, using the latest report', { flights: userFlights.length, chosenFlightId: match.flightId });
+              }
           }
       }
 
@@ -572,140 +2931,555 @@ async function pollOnce() {
 
         // This should now only trigger on the very first time a flight is found for a tracker.
         if (isFirstOnlineEvent || hasNewFlightId) {
-          if (hasNewFlightId && TRACK_LOG) {
+          if (hasNewFlightId) {
             // This case is now rare, but could happen if a tracker was manually edited.
-            console.log(`[track] New flight detected for ${t.username}. Old: ${t.lastKnownFlight.flightId}, New: ${found.flightId}. Resetting timer.`);
+            logFor(t).info('new flight detected', { previousFlightId: t.lastKnownFlight.flightId, newFlightId: found.flightId });
           }
 
-          t.history.push({ event: 'online', timestamp: now });
-          if (TRACK_LOG) console.log(`[track] ONLINE ${t.username} on ${t.server} -> Locking onto flightId: ${found.flightId}`);
-          
-          console.log(`[ACARS Debug] User found online. Sending 'found' (departure) notification to callback URL for ${t.username}`);
+          addHistory(t, { event: 'online', timestamp: now });
+          logFor(t).info('pilot online, locking onto flight', { sessionId, flightId: found.flightId, callsign: found.callsign });
           
           notifyCallback(t, { flight: { ...found, sessionId }, reason: 'user_online' });
         }
         
-        t.status = 'tracking';
+        setStatus(t, 'tracking');
+        if (found.userId && !t.userId) t.userId = found.userId;
+        if (found.username && found.username !== t.username) t.username = found.username;
         t.lastSeenAt = now;
         t.flight = { ...found, sessionId };
         t.lastKnownFlight = { flightId: found.flightId, sessionId: sessionId };
+        if (isFirstOnlineEvent || hasNewFlightId) applyTrackerRules(t); // the aircraft may have a profile
+        if (!t.firstPosition) t.firstPosition = { ...found.position };
+        recordBreadcrumb(t, found.position, now);
+        await refreshFlightPlan(t, now);
         
         const isInBackground = found.pilotState === 3;
-        t.nextPollAt = now + (isInBackground ? BACKGROUND_POLL_MS : POLL_MS);
+        const nearest = findNearestAirport(found.position.lat, found.position.lon);
+        const isOnApproach = analyzeApproach(t, found, nearest, now);
+        updatePhase(t, found, nearest, now);
+        checkGeofences(t, now);
+        if (sessionAtc === undefined) sessionAtc = await getSessionAtc(sessionId);
+        if (sessionAtc) annotateTrackerAtc(t, sessionAtc, now);
+        await checkNotams(t, sessionId, now);
+        t.nextPollAt = now + (isInBackground ? BACKGROUND_POLL_MS : isOnApproach ? APPROACH_POLL_MS : POLL_MS);
         
-        if (isInBackground && TRACK_LOG) {
-          console.log(`[track] ✈️ ${t.username} is in background. Next poll in ${BACKGROUND_POLL_MS / 60000}m.`);
-        }
+        if (isInBackground) logFor(t).debug('pilot in background, polling less often', { nextPollMs: BACKGROUND_POLL_MS });
 
       } else {
         // If we were tracking a flight and it has now disappeared,
         // it might have landed. This is our primary chance to check.
         if (t.lastKnownFlight?.flightId) {
-          if (TRACK_LOG) console.log(`[track] User ${t.username}'s flight ${t.lastKnownFlight.flightId} disappeared, checking last route for landing...`);
+          logFor(t).info('flight disappeared, checking the last route for a landing');
           try {
             const route = await getFlightRoute(t.lastKnownFlight.sessionId, t.lastKnownFlight.flightId);
-            const simplifiedRoute = simplifyFlightRoute(route);
+            // The route endpoint sometimes comes back empty; our own breadcrumbs are the fallback.
+            let simplifiedRoute = simplifyFlightRoute(route);
+            let routeSource = 'if_route';
+            if (!simplifiedRoute.length && t.trail?.length) {
+              simplifiedRoute = trailToRoute(t.trail);
+              routeSource = 'trail';
+            }
         
-            if (simplifiedRoute.length > 0) {
+            if (!simplifiedRoute.length) {
+              logFor(t).info('landing check skipped: no route points');
+            } else {
               const lastPoint = simplifiedRoute[simplifiedRoute.length - 1];
               const { airport, distanceKm } = findNearestAirport(lastPoint.lat, lastPoint.lon);
 
-              if (airport) {
-                const airportElevationFt = airport.elevation_ft || 0;
-                const altitudeAgl = lastPoint.altitude - airportElevationFt;
-                
-                const isLowAndSlow = altitudeAgl < LANDED_ALTITUDE_AGL_FT && lastPoint.groundSpeed < LANDED_SPEED_KT;
-                const isNearAirport = distanceKm < LANDED_PROXIMITY_KM;
-                
-                // If it meets landing criteria, we're done!
-                if (isLowAndSlow && isNearAirport) {
-                  t.status = 'landed';
-                  t.history.push({ event: 'landed', timestamp: now, airport: airport.icao });
-                  
-                  const onlineEvent = t.history.slice().reverse().find(h => h.event === 'online');
-                  const flightDurationMs = onlineEvent ? now - onlineEvent.timestamp : 0;
-                  
-                  if (TRACK_LOG) console.log(`[track] LANDED ${t.username} at ${airport.icao} after ${Math.round(flightDurationMs/60000)}m. Stopping tracker.`);
-                  console.log(`[ACARS Debug] Flight has landed. Sending 'landed' notification to callback URL for ${t.username}`);
+              if (airport) {
+                const airportElevationFt = airport.elevation_ft || 0;
+                const altitudeAgl = lastPoint.altitude - airportElevationFt;
+                
+                const { rules } = t;
+                const isLowAndSlow = altitudeAgl < rules.landedAglFt && lastPoint.groundSpeed < rules.landedSpeedKt;
+                const isNearAirport = distanceKm < rules.landedProximityKm;
+                const landingCheck = {
+                  airport: airport.icao,
+                  distanceKm: Number(distanceKm.toFixed(1)),
+                  aglFt: Math.round(altitudeAgl),
+                  groundSpeedKt: Math.round(lastPoint.groundSpeed),
+                  isNearAirport,
+                  isLowAndSlow,
+                  rules: {
+                    profile: rules.profile,
+                    source: rules.source,
+                    landedAglFt: rules.landedAglFt,
+                    landedSpeedKt: rules.landedSpeedKt,
+                    landedProximityKm: rules.landedProximityKm,
+                  },
+                  routeSource,
+                  routePoints: simplifiedRoute.length,
+                };
+                
+                // If it meets landing criteria, we're done!
+                if (isLowAndSlow && isNearAirport) {
+                  setStatus(t, 'landed');
+                  setPhase(t, 'landed', now, { airport: airport.icao });
+
+                  // Last chance to pick up a plan filed since the previous refresh.
+                  t.flightPlanCheckedAt = 0;
+                  await refreshFlightPlan(t, now);
+                  t.arrivalOutcome = classifyArrival(t, airport.icao);
+                  const departureAirport = findNearestAirport(simplifiedRoute[0].lat, simplifiedRoute[0].lon).airport;
+                  t.runways = detectRunways(t, simplifiedRoute, departureAirport, airport);
+                  addHistory(t, {
+                    event: 'landed',
+                    timestamp: now,
+                    airport: airport.icao,
+                    classification: t.arrivalOutcome.classification,
+                    plannedDestination: t.arrivalOutcome.plannedDestination,
+                    departureRunway: t.runways.departure?.runway || null,
+                    arrivalRunway: t.runways.arrival?.runway || null,
+                    offRunway: !!t.runways.arrival?.offRunway,
+                  });
+                  if (t.runways.arrival?.offRunway) {
+                    logFor(t).info('touched down off any runway', { airport: airport.icao, centerlineOffsetM: t.runways.arrival.centerlineOffsetM, nearestRunway: t.runways.arrival.nearestRunway });
+                  }
+                  
+                  const blockOffAt = getBlockOffAt(t);
+                  const flightDurationMs = blockOffAt ? now - blockOffAt : 0;
+
+                  t.pirep = buildPirep(t, { route: simplifiedRoute, arrival: airport, arrivalDistanceKm: distanceKm, landedAt: now });
+                  
+                  logFor(t).info('landing check passed, flight landed', { ...landingCheck, classification: t.arrivalOutcome.classification, flightDurationMin: Math.round(flightDurationMs / 60000) });
+
+                  notifyCallback(t, { 
+                    reason: 'flight_landed', 
+                    flightDurationMs, 
+                    lastPosition: lastPoint,
+                    airport: {
+                      icao: airport.icao,
+                      name: airport.name,
+                      distanceKm: distanceKm,
+                    },
+                    arrivalOutcome: t.arrivalOutcome,
+                    runways: t.runways,
+                    touchdown: formatTouchdown(t.touchdown),
+                    pirep: formatPirep(t.pirep),
+                  });
+                  
+                  trackers.set(t.id, t);
+                  emitTrackerEvent('updated', t);
+                  continue; // Move to the next tracker
+                } else {
+                  logFor(t).info('landing check failed', landingCheck);
+                }
+              }
+            }
+          } catch(e) {
+            logFor(t).warn('route fetch failed, landing check skipped', { error: e.message });
+          }
+        }
+        
+        // If we've reached this point, the flight either never existed or it disappeared mid-air.
+        
+        // Check for timeout
+        if (now >= t.timeoutAt) {
+          setStatus(t, 'not_found');
+          const timeoutHours = t.rules.searchTimeoutMs / (60 * 60 * 1000);
+          logFor(t).info('search timed out', { timeoutHours, rulesProfile: t.rules.profile });
+          notifyCallback(t, { reason: `timeout_${timeoutHours}h` });
+          emitTrackerEvent('updated', t);
+          continue;
+        }
+        
+        // If the status was 'tracking', this is the first poll where the user is missing.
+        // Log it as an offline event.
+        if (t.status === 'tracking') {
+          addHistory(t, { event: 'offline', timestamp: now });
+          logFor(t).info('pilot offline mid-flight');
+          notifyCallback(t, { reason: 'user_offline' });
+        }
+        
+        // Transition to 'searching' state and set a backoff poll interval.
+        setStatus(t, 'searching');
+        t.flight = null;
+        t.approach = null;
+        t.phase = null;
+        t.phaseSample = null;
+
+        const nextInterval = getSearchPollMs(t.rules, now - (t.lastSeenAt || t.startedAt));
+        t.nextPollAt = now + nextInterval;
+        logFor(t).debug('still searching', { nextPollMs: nextInterval });
+      }
+      trackers.set(t.id, t);
+      emitTrackerEvent('updated', t);
+    }
+  }
+  if (trackersToCheck.some(t => trackerStateKey(t) !== stateBefore.get(t.id))) saveTrackers();
+  else saveTrackersIfStale();
+}
+
+// Start the polling loop. It ticks at TICK_MS so approach polling can run faster than
+// POLL_MS; a tick is skipped while the previous pollOnce is still in flight.
+let pollInFlight = false;
+let lastPollCompletedAt = 0;
+function runPoll() {
+  if (pollInFlight) {
+    pollOverlaps.inc();
+    return null;
+  }
+  pollInFlight = true;
+  const startedAt = performance.now();
+  return pollOnce()
+    .catch(e => {
+      pollErrors.inc();
+      log.error('pollOnce failed', { error: e?.message });
+    })
+    .finally(() => {
+      pollInFlight = false;
+      pollDuration.observe({}, (performance.now() - startedAt) / 1000);
+      lastPollCompletedAt = clock.now();
+    });
+}
+
+
+/* =========================
+ * Route exports
+ * =========================
+ * Renders a flown route (points from simplifyFlightRoute: lat, lon, altitude ft, groundSpeed
+ * kt, track, timestamp) and the filed plan waypoints as GeoJSON, KML, GPX or CSV. The plan is
+ * always a separate layer: its own features, folder, <rte> or CSV rows. Altitudes are
+ * metres in the GIS formats, as their readers expect, and feet in CSV.
+ */
+const EXPORT_FORMATS = {
+  geojson: { contentType: 'application/geo+json', render: renderGeoJson },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', render: renderKml },
+  gpx: { contentType: 'application/gpx+xml', render: renderGpx },
+  csv: { contentType: 'text/csv', render: renderCsv },
+};
+const M_PER_FT = 0.3048;
+
+const escapeXml = (v) => String(v ?? '').replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+const escapeCsv = (v) => (v == null ? '' : /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+const toMetres = (ft) => (typeof ft === 'number' ? Math.round(ft * M_PER_FT * 10) / 10 : null);
+
+function renderGeoJson({ name, route, waypoints }) {
+  const features = [];
+  if (route.length) {
+    features.push({
+      type: 'Feature',
+      properties: {
+        layer: 'flown',
+        name,
+        coordTimes: route.map(p => p.timestamp || null),
+        altitudesFt: route.map(p => p.altitude ?? null),
+        groundSpeedsKt: route.map(p => p.groundSpeed ?? null),
+        tracksDeg: route.map(p => p.track ?? null),
+      },
+      geometry: { type: 'LineString', coordinates: route.map(p => [p.lon, p.lat, toMetres(p.altitude) ?? 0]) },
+    });
+  }
+  if (waypoints.length) {
+    features.push({
+      type: 'Feature',
+      properties: { layer: 'plan', name: `${name} (filed plan)` },
+      geometry: { type: 'LineString', coordinates: waypoints.map(w => [w.lon, w.lat]) },
+    });
+    waypoints.forEach((w, i) => features.push({
+      type: 'Feature',
+      properties: { layer: 'plan_waypoint', name: w.name || null, seq: i + 1 },
+      geometry: { type: 'Point', coordinates: [w.lon, w.lat] },
+    }));
+  }
+  return JSON.stringify({ type: 'FeatureCollection', name, features }, null, 2);
+}
+
+function renderKml({ name, route, waypoints }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '<Document>',
+    `<name>${escapeXml(name)}</name>`,
+    '<Schema id="flight"><gx:SimpleArrayField name="groundSpeedKt" type="float"/><gx:SimpleArrayField name="altitudeFt" type="float"/></Schema>',
+  ];
+  if (route.length) {
+    lines.push('<Folder><name>Flown route</name><Placemark>', `<name>${escapeXml(name)}</name>`, '<gx:Track><altitudeMode>absolute</altitudeMode>');
+    for (const p of route) lines.push(`<when>${escapeXml(p.timestamp)}</when>`);
+    for (const p of route) lines.push(`<gx:coord>${p.lon} ${p.lat} ${toMetres(p.altitude) ?? 0}</gx:coord>`);
+    lines.push('<ExtendedData><SchemaData schemaUrl="#flight">');
+    lines.push(`<gx:SimpleArrayData name="groundSpeedKt">${route.map(p => `<gx:value>${p.groundSpeed ?? ''}</gx:value>`).join('')}</gx:SimpleArrayData>`);
+    lines.push(`<gx:SimpleArrayData name="altitudeFt">${route.map(p => `<gx:value>${p.altitude ?? ''}</gx:value>`).join('')}</gx:SimpleArrayData>`);
+    lines.push('</SchemaData></ExtendedData></gx:Track></Placemark></Folder>');
+  }
+  if (waypoints.length) {
+    lines.push('<Folder><name>Filed plan</name>');
+    lines.push(`<Placemark><name>Planned route</name><LineString><tessellate>1</tessellate><coordinates>${waypoints.map(w => `${w.lon},${w.lat}`).join(' ')}</coordinates></LineString></Placemark>`);
+    for (const w of waypoints) lines.push(`<Placemark><name>${escapeXml(w.name)}</name><Point><coordinates>${w.lon},${w.lat}</coordinates></Point></Placemark>`);
+    lines.push('</Folder>');
+  }
+  lines.push('</Document>', '</kml>');
+  return lines.join('\n');
+}
+
+function renderGpx({ name, route, waypoints }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="ACARS live flight tracker" xmlns="http://www.topografix.com/GPX/1/1" xmlns:acars="urn:acars:gpx:1">',
+    `<metadata><name>${escapeXml(name)}</name></metadata>`,
+  ];
+  if (waypoints.length) {
+    lines.push('<rte><name>Filed plan</name>');
+    for (const w of waypoints) lines.push(`<rtept lat="${w.lat}" lon="${w.lon}"><name>${escapeXml(w.name)}</name></rtept>`);
+    lines.push('</rte>');
+  }
+  if (route.length) {
+    lines.push(`<trk><name>${escapeXml(name)}</name><trkseg>`);
+    for (const p of route) {
+      const ele = toMetres(p.altitude);
+      lines.push(`<trkpt lat="${p.lat}" lon="${p.lon}">${ele != null ? `<ele>${ele}</ele>` : ''}${p.timestamp ? `<time>${escapeXml(p.timestamp)}</time>` : ''}`
+        + `<extensions><acars:groundSpeedKt>${p.groundSpeed ?? ''}</acars:groundSpeedKt><acars:trackDeg>${p.track ?? ''}</acars:trackDeg></extensions></trkpt>`);
+    }
+    lines.push('</trkseg></trk>');
+  }
+  lines.push('</gpx>');
+  return lines.join('\n');
+}
+
+function renderCsv({ route, waypoints }) {
+  const rows = [['layer', 'seq', 'name', 'timestamp', 'lat', 'lon', 'altitude_ft', 'ground_speed_kt', 'track_deg']];
+  route.forEach((p, i) => rows.push(['flown', i + 1, '', p.timestamp, p.lat, p.lon, p.altitude, p.groundSpeed, p.track]));
+  waypoints.forEach((w, i) => rows.push(['plan', i + 1, w.name, '', w.lat, w.lon, '', '', '']));
+  return rows.map(r => r.map(escapeCsv).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Sends the export, or a 400 for an unknown format. `filename` has no extension.
+ */
+function sendRouteExport(res, format, filename, data) {
+  const exporter = EXPORT_FORMATS[String(format || '').toLowerCase()];
+  if (!exporter) {
+    return res.status(400).json(err(400, `Unknown export format "${format}"`, { formats: Object.keys(EXPORT_FORMATS) }));
+  }
+  const safeName = String(filename).replace(/[^\w.-]+/g, '_');
+  res.set('Content-Type', `${exporter.contentType}; charset=utf-8`);
+  res.set('Content-Disposition', `attachment; filename="${safeName}.${format.toLowerCase()}"`);
+  res.send(exporter.render(data));
+}
+
+
+/* =========================
+ * Authentication & roles
+ * =========================
+ * Roles are ordered: viewer (read-only) < operator (start/stop trackers, redeliver
+ * webhooks) < admin (debug routes, key management). Keys are random, shown once when
+ * issued, and stored as SHA-256 hashes in API_KEYS_FILE.
+ *
+ * Keys go in headers. The SSE stream and the export downloads are opened by the browser
+ * itself, which can't send headers, so those routes (QUERY_AUTH_ROUTES) also take a
+ * short-lived viewer link token from POST /auth/link-token as ?token=, or a viewer-role
+ * key as ?api_key=. Query strings end up in access logs and browser history, so keys with
+ * more rights than viewer are never accepted there.
+ */
+const ROLES = ['viewer', 'operator', 'admin'];
+let apiKeys = []; // [{ id, name, role, hash, prefix, createdAt, revokedAt }]
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function loadApiKeys() {
+  try {
+    if (!fs.existsSync(API_KEYS_FILE)) return;
+    const parsed = JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8'));
+    apiKeys = Array.isArray(parsed?.keys) ? parsed.keys.filter(k => k && k.hash && ROLES.includes(k.role)) : [];
+    log.info('API keys loaded', { active: apiKeys.filter(k => !k.revokedAt).length, file: API_KEYS_FILE });
+  } catch (e) {
+    log.error('could not read API keys, only ACARS_ADMIN_KEY will work', { file: API_KEYS_FILE, error: e?.message });
+    apiKeys = [];
+  }
+}
+
+function saveApiKeys() {
+  const tmpPath = `${API_KEYS_FILE}.tmp`;
+  fs.mkdirSync(path.dirname(API_KEYS_FILE), { recursive: true });
+  fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, keys: apiKeys }, null, 2), { encoding: 'utf8', mode: 0o600 });
+  fs.renameSync(tmpPath, API_KEYS_FILE);
+}
+
+function issueApiKey({ name, role }) {
+  const key = `acars_${crypto.randomBytes(32).toString('base64url')}`;
+  const record = {
+    id: newId(),
+    name: String(name || '').trim() || null,
+    role,
+    hash: hashApiKey(key),
+    prefix: key.slice(0, 12),
+    createdAt: clock.now(),
+    revokedAt: null,
+  };
+  apiKeys.push(record);
+  saveApiKeys();
+  return { key, record };
+}
+
+function formatApiKey(k) {
+  return { id: k.id, name: k.name, role: k.role, prefix: k.prefix, createdAt: toIso(k.createdAt), revokedAt: toIso(k.revokedAt) };
+}
+
+function extractApiKey(req) {
+  const header = req.get('authorization') || '';
+  if (/^bearer\s+/i.test(header)) return header.replace(/^bearer\s+/i, '').trim();
+  if (req.get('x-api-key')) return req.get('x-api-key').trim();
+  return null;
+}
+
+// { role, keyId } for a valid key, else null.
+function resolveApiKey(key) {
+  const hash = hashApiKey(key);
+  if (ACARS_ADMIN_KEY && crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(hashApiKey(ACARS_ADMIN_KEY), 'hex'))) {
+    return { role: 'admin', keyId: 'bootstrap' };
+  }
+  const record = apiKeys.find(k => k.hash === hash && !k.revokedAt);
+  return record ? { role: record.role, keyId: record.id } : null;
+}
+
+// GET routes a browser opens without being able to set headers: the SSE stream and exports.
+const QUERY_AUTH_ROUTES = [
+  /^\/track\/stream$/,
+  /^\/track\/[^/]+\/trail\.\w+$/,
+  /^\/flights\/[^/]+\/[^/]+\/route\.\w+$/,
+];
+
+const linkTokenSecret = LINK_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+
+function signLinkToken(body) {
+  return crypto.createHmac('sha256', linkTokenSecret).update(body).digest('base64url');
+}
 
-                  notifyCallback(t, { 
-                    reason: 'flight_landed', 
-                    flightDurationMs, 
-                    lastPosition: lastPoint,
-                    airport: {
-                      icao: airport.icao,
-                      name: airport.name,
-                      distanceKm: distanceKm,
-                    }
-                  });
-                  
-                  trackers.set(t.id, t);
-                  continue; // Move to the next tracker
-                } else if (TRACK_LOG) {
-                  console.log(`[track] ${t.username} landing check failed: isNearAirport=${isNearAirport}, isLowAndSlow=${isLowAndSlow}. AGL=${altitudeAgl.toFixed(0)}ft, GS=${lastPoint.groundSpeed.toFixed(0)}kt. Closest: ${airport?.icao} at ${distanceKm?.toFixed(1)}km`);
-                }
-              }
-            }
-          } catch(e) {
-            if (TRACK_LOG) console.warn(`[track] Failed to get route for ${t.username}: ${e.message}`);
-          }
-        }
-        
-        // If we've reached this point, the flight either never existed or it disappeared mid-air.
-        
-        // Check for timeout
-        if (now >= t.timeoutAt) {
-          t.status = 'not_found';
-          if (TRACK_LOG) console.log(`[track] TIMEOUT ${t.username} on ${t.server}`);
-          notifyCallback(t, { reason: `timeout_${SEARCH_TIMEOUT_MS / (60 * 60 * 1000)}h` });
-          continue;
-        }
-        
-        // If the status was 'tracking', this is the first poll where the user is missing.
-        // Log it as an offline event.
-        if (t.status === 'tracking') {
-          t.history.push({ event: 'offline', timestamp: now });
-          if (TRACK_LOG) console.log(`[track] OFFLINE (mid-air) ${t.username} on ${t.server}`);
-          notifyCallback(t, { reason: 'user_offline' });
-        }
-        
-        // Transition to 'searching' state and set a backoff poll interval.
-        t.status = 'searching';
-        t.flight = null;
+/**
+ * A viewer-only token for QUERY_AUTH_ROUTES, tied to the key that asked for it: it stops
+ * working when that key is revoked or after LINK_TOKEN_TTL_MS.
+ */
+function issueLinkToken(keyId) {
+  const expiresAt = clock.now() + LINK_TOKEN_TTL_MS;
+  const body = Buffer.from(JSON.stringify({ keyId, exp: expiresAt })).toString('base64url');
+  return { token: `${body}.${signLinkToken(body)}`, expiresAt };
+}
 
-        let nextInterval = POLL_MS;
-        const timeSinceSeen = now - (t.lastSeenAt || t.startedAt);
-        if (timeSinceSeen < 15 * 60 * 1000) { // If recently seen (<15m ago)
-          nextInterval = 2 * 60 * 1000; // Check again in 2m
-        } else if (timeSinceSeen < 6 * 60 * 60 * 1000) { // If seen in last 6h
-          nextInterval = 15 * 60 * 1000; // Check in 15m
-        } else { // It's been a while
-          nextInterval = 60 * 60 * 1000; // Check in 1h
-        }
-        t.nextPollAt = now + nextInterval;
-        if (TRACK_LOG) console.log(`[track] searching ${t.username}, next poll in ${nextInterval/60000}m`);
-      }
-      trackers.set(t.id, t);
+function verifyLinkToken(token) {
+  const [body, signature] = String(token).split('.');
+  if (!body || !signature) return null;
+  const expected = Buffer.from(signLinkToken(body));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (!(claims.exp > clock.now())) return null;
+  const keyStillValid = claims.keyId === 'bootstrap'
+    ? !!ACARS_ADMIN_KEY
+    : apiKeys.some(k => k.id === claims.keyId && !k.revokedAt);
+  return keyStillValid ? { role: 'viewer', keyId: claims.keyId } : null;
+}
+
+function authenticateQuery(req, res, next) {
+  if (typeof req.query.token === 'string') {
+    req.auth = verifyLinkToken(req.query.token);
+    if (!req.auth) return res.status(401).json(err(401, 'Invalid or expired link token'));
+    return next();
+  }
+  const auth = typeof req.query.api_key === 'string' ? resolveApiKey(req.query.api_key.trim()) : null;
+  if (!auth) return res.status(401).json(err(401, 'Invalid or revoked API key'));
+  if (auth.role !== 'viewer') {
+    return res.status(401).json(err(401, 'Only viewer keys are accepted in the query string; send a link token from POST /auth/link-token instead'));
+  }
+  req.auth = auth;
+  next();
+}
+
+/**
+ * Resolves the caller's role into req.auth ({ role, keyId } or null). Invalid keys are
+ * rejected here rather than silently treated as anonymous.
+ */
+function authenticate(req, res, next) {
+  const key = extractApiKey(req);
+  if (!key) {
+    const hasQueryAuth = req.query.token != null || req.query.api_key != null;
+    if (hasQueryAuth && req.method === 'GET' && QUERY_AUTH_ROUTES.some(re => re.test(req.path))) {
+      return authenticateQuery(req, res, next);
     }
+    req.auth = ROLES.includes(AUTH_ANONYMOUS_ROLE) ? { role: AUTH_ANONYMOUS_ROLE, keyId: null } : null;
+    return next();
   }
+  req.auth = resolveApiKey(key);
+  if (!req.auth) return res.status(401).json(err(401, 'Invalid or revoked API key'));
+  next();
 }
 
-// Start the polling loop
-setInterval(() => {
-  pollOnce().catch(e => {
-    if (TRACK_LOG) console.error('[track] pollOnce error', e?.message);
-  });
-}, POLL_MS);
+function requireRole(role) {
+  const needed = ROLES.indexOf(role);
+  return (req, res, next) => {
+    if (!req.auth) return res.status(401).json(err(401, 'API key required'));
+    if (ROLES.indexOf(req.auth.role) < needed) {
+      return res.status(403).json(err(403, `This action requires the ${role} role`, { role: req.auth.role }));
+    }
+    next();
+  };
+}
+
+app.use(authenticate);
 
 
 /* =========================
  * API Endpoints
  * ========================= */
 app.get('/health', (req, res) => {
-  res.status(200).json({ ok: true, status: 'alive', timestamp: new Date().toISOString() });
+  res.status(200).json({ ok: true, status: 'alive', timestamp: new Date(clock.now()).toISOString(), ifApi: { circuitBreaker: getBreakerSnapshot() } });
+});
+
+// Prometheus scrape target. Scrapers send the key as a bearer token (authorization in scrape_config).
+app.get('/metrics', requireRole('viewer'), (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+app.get('/auth/keys', requireRole('admin'), (req, res) => {
+  res.json({ ok: true, count: apiKeys.length, keys: apiKeys.map(formatApiKey) });
+});
+
+app.post('/auth/keys', requireRole('admin'), (req, res) => {
+  const role = String(req.body?.role || '').trim();
+  if (!ROLES.includes(role)) return res.status(400).json(err(400, `role must be one of: ${ROLES.join(', ')}`));
+  try {
+    const { key, record } = issueApiKey({ name: req.body?.name, role });
+    // The plaintext key is only ever returned here.
+    res.status(201).json({ ok: true, key, apiKey: formatApiKey(record) });
+  } catch (e) {
+    res.status(500).json(err(500, 'Failed to issue API key', { detail: e?.message }));
+  }
+});
+
+app.post('/auth/keys/:id/revoke', requireRole('admin'), (req, res) => {
+  const record = apiKeys.find(k => k.id === req.params.id);
+  if (!record) return res.status(404).json(err(404, 'API key not found'));
+  if (!record.revokedAt) {
+    record.revokedAt = clock.now();
+    try {
+      saveApiKeys();
+    } catch (e) {
+      record.revokedAt = null;
+      return res.status(500).json(err(500, 'Failed to revoke API key', { detail: e?.message }));
+    }
+  }
+  res.json({ ok: true, apiKey: formatApiKey(record) });
+});
+
+// Short-lived viewer token for the stream and download URLs (see "Authentication & roles").
+app.post('/auth/link-token', requireRole('viewer'), (req, res) => {
+  if (!req.auth.keyId) return res.status(400).json(err(400, 'Anonymous access needs no link token'));
+  const { token, expiresAt } = issueLinkToken(req.auth.keyId);
+  res.json({ ok: true, token, expiresAt: toIso(expiresAt) });
+});
+
+app.get('/auth/whoami', (req, res) => {
+  if (!req.auth) return res.status(401).json(err(401, 'API key required'));
+  res.json({ ok: true, role: req.auth.role, keyId: req.auth.keyId });
 });
 
-app.get('/if-key-debug', (req, res) => {
+app.get('/if-key-debug', requireRole('admin'), (req, res) => {
   const masked = IF_API_KEY ? `${IF_API_KEY.slice(0, 4)}...${IF_API_KEY.slice(-4)}` : '(missing)';
   res.json({
     ok: true,
@@ -717,10 +3491,12 @@ app.get('/if-key-debug', (req, res) => {
   });
 });
 
-app.get('/if-sessions', async (req, res) => {
+app.get('/if-sessions', requireRole('viewer'), async (req, res) => {
   try {
     if (!IF_API_KEY) return res.status(500).json(err(500, 'INFINITE_FLIGHT_API_KEY is not set'));
-    const sessions = await getSessions();
+    const sessionsResult = await getSessionsCached({ allowStale: true });
+    const sessions = sessionsResult.value;
+    setCacheHeaders(res, sessionsResult);
     res.json({ ok: true, count: sessions?.length || 0, sessions });
   } catch (e) {
     const status = e?.response?.status || 500;
@@ -728,16 +3504,19 @@ app.get('/if-sessions', async (req, res) => {
   }
 });
 
-app.get('/if-sessions-test', async (req, res) => {
+app.get('/if-sessions-test', requireRole('admin'), async (req, res) => {
   try {
     if (!IF_API_KEY) return res.status(500).json(err(500, 'INFINITE_FLIGHT_API_KEY is not set'));
     const targetServer = (req.query.server || 'Expert Server').toString();
-    const sessions = await getSessions();
+    const sessionsResult = await getSessionsCached({ allowStale: true });
+    const sessions = sessionsResult.value;
     const sessionId = pickSessionIdByName(sessions, targetServer);
     if (!sessionId) {
       return res.status(404).json(err(404, `Server not found: ${targetServer}`, { sessions }));
     }
-    const flights = await getFlightsForSession(sessionId);
+    const flightsResult = await getFlightsCached(sessionId, { allowStale: true });
+    const flights = flightsResult.value;
+    setCacheHeaders(res, sessionsResult, flightsResult);
     res.json({
       ok: true,
       server: targetServer,
@@ -758,12 +3537,13 @@ app.get('/if-sessions-test', async (req, res) => {
   }
 });
 
-app.get('/flights/:sessionId', async (req, res) => {
+app.get('/flights/:sessionId', requireRole('viewer'), async (req, res) => {
   const { sessionId } = req.params;
   const callsignFilter = req.query.callsignEndsWith;
   try {
-    const flights = await getFlightsForSession(sessionId);
-    let simplified = flights.map(simplifyFlight);
+    const flightsResult = await getFlightsCached(sessionId, { allowStale: true });
+    setCacheHeaders(res, flightsResult);
+    let simplified = flightsResult.value.map(simplifyFlight);
     if (callsignFilter) {
       const suffix = callsignFilter.toUpperCase();
       simplified = simplified.filter(f =>
@@ -777,7 +3557,7 @@ app.get('/flights/:sessionId', async (req, res) => {
   }
 });
 
-app.get('/flights/:sessionId/:flightId/plan', async (req, res) => {
+app.get('/flights/:sessionId/:flightId/plan', requireRole('viewer'), async (req, res) => {
   const { sessionId, flightId } = req.params;
   try {
     const rawPlan = await getFlightPlan(sessionId, flightId);
@@ -801,7 +3581,7 @@ app.get('/flights/:sessionId/:flightId/plan', async (req, res) => {
   }
 });
 
-app.get('/flights/:sessionId/:flightId/route', async (req, res) => {
+app.get('/flights/:sessionId/:flightId/route', requireRole('viewer'), async (req, res) => {
   const { sessionId, flightId } = req.params;
   try {
     const rawRoute = await getFlightRoute(sessionId, flightId);
@@ -821,11 +3601,95 @@ app.get('/flights/:sessionId/:flightId/route', async (req, res) => {
   }
 });
 
-app.get('/atc/:sessionId', async (req, res) => {
+/**
+ * The flown route plus the filed plan (when there is one) as geojson, kml, gpx or csv.
+ */
+app.get('/flights/:sessionId/:flightId/route.:format', requireRole('viewer'), async (req, res) => {
+  const { sessionId, flightId, format } = req.params;
+  if (!EXPORT_FORMATS[String(format).toLowerCase()]) return sendRouteExport(res, format);
+  try {
+    const [rawRoute, rawPlan] = await Promise.all([
+      getFlightRoute(sessionId, flightId),
+      getFlightPlan(sessionId, flightId).catch(() => null),
+    ]);
+    if (!rawRoute || rawRoute.length === 0) {
+      return res.status(404).json(err(404, 'Flight route not found. The flight may not exist or has no position reports available.'));
+    }
+    const waypoints = rawPlan ? simplifyFlightPlan(rawPlan).waypoints : [];
+    sendRouteExport(res, format, `flight-${flightId}`, { name: `Flight ${flightId}`, route: simplifyFlightRoute(rawRoute), waypoints });
+  } catch (e) {
+    const status = e?.response?.status || 500;
+    res.status(status).json(err(status, 'Failed to export flight route', { apiErrorCode: e?.errorCode, detail: e?.message }));
+  }
+});
+
+app.get('/atc/watchlist', requireRole('viewer'), (req, res) => {
+  res.json({ ok: true, count: atcWatches.length, watches: atcWatches.map(formatAtcWatch) });
+});
+
+app.post('/atc/watchlist', requireRole('operator'), (req, res) => {
+  const icao = String(req.body?.icao || '').trim().toUpperCase();
+  if (!/^[A-Z0-9]{3,4}$/.test(icao)) return res.status(400).json(err(400, 'icao is required'));
+  const server = String(req.body?.server || DEFAULT_IF_SERVER).trim();
+  const existing = atcWatches.find(w => w.icao === icao && w.server.toLowerCase() === server.toLowerCase());
+  if (existing) return res.json({ ok: true, watch: formatAtcWatch(existing) });
+
+  const watch = {
+    id: newId(),
+    type: 'atc_watch',
+    icao,
+    server,
+    callbackUrl: req.body?.callbackUrl ? String(req.body.callbackUrl).trim() : null,
+    createdAt: clock.now(),
+    lastScanAt: null,
+    open: {},
+    deliveries: [],
+  };
+  atcWatches.push(watch);
+  try {
+    saveAtcWatchlist();
+  } catch (e) {
+    atcWatches = atcWatches.filter(w => w.id !== watch.id);
+    return res.status(500).json(err(500, 'Failed to save ATC watch', { detail: e?.message }));
+  }
+  scanAtcWatchlist();
+  res.status(201).json({ ok: true, watch: formatAtcWatch(watch) });
+});
+
+app.delete('/atc/watchlist/:id', requireRole('operator'), (req, res) => {
+  const watch = atcWatches.find(w => w.id === req.params.id);
+  if (!watch) return res.status(404).json(err(404, 'ATC watch not found'));
+  atcWatches = atcWatches.filter(w => w.id !== watch.id);
+  try {
+    saveAtcWatchlist();
+  } catch (e) {
+    atcWatches.push(watch);
+    return res.status(500).json(err(500, 'Failed to delete ATC watch', { detail: e?.message }));
+  }
+  res.json({ ok: true, deleted: watch.id });
+});
+
+/**
+ * Facility sessions seen at watched ICAOs, newest first. Filters: ?icao=, ?server=, ?limit=.
+ */
+app.get('/atc/history', requireRole('viewer'), (req, res) => {
+  const icao = req.query.icao ? String(req.query.icao).toUpperCase() : null;
+  const server = req.query.server ? String(req.query.server).toLowerCase() : null;
+  const limit = Math.min(Math.max(parseInt(req.query.limit || '100', 10) || 100, 1), ATC_HISTORY_LIMIT);
+  const entries = atcHistory
+    .filter(h => (!icao || h.icao === icao) && (!server || h.server.toLowerCase() === server))
+    .slice(-limit)
+    .reverse();
+  res.json({ ok: true, count: entries.length, history: entries });
+});
+
+app.get('/atc/:sessionId', requireRole('viewer'), async (req, res) => {
   const { sessionId } = req.params;
   try {
     // Retrieve active Air Traffic Control frequencies for a session
-    const atcFacilities = await getActiveATC(sessionId);
+    const atcResult = await getActiveATCCached(sessionId, { allowStale: true });
+    const atcFacilities = atcResult.value;
+    setCacheHeaders(res, atcResult);
     res.json({ ok: true, count: atcFacilities.length, atc: atcFacilities });
   } catch (e) {
     const status = e?.response?.status || 500;
@@ -839,10 +3703,12 @@ app.get('/atc/:sessionId', async (req, res) => {
   }
 });
 
-app.get('/notams/:sessionId', async (req, res) => {
+app.get('/notams/:sessionId', requireRole('viewer'), async (req, res) => {
   const { sessionId } = req.params;
   try {
-    const notams = await getNotams(sessionId);
+    const notamsResult = await getNotamsCached(sessionId, { allowStale: true });
+    const notams = notamsResult.value;
+    setCacheHeaders(res, notamsResult);
     res.json({ ok: true, count: notams.length, notams: notams });
   } catch (e) {
     const status = e?.response?.status || 500;
@@ -857,34 +3723,238 @@ app.get('/notams/:sessionId', async (req, res) => {
 });
 
 
-app.get('/track/active', (req, res) => {
-  const active = getActiveTrackers().map(t => ({
+function parseCoordinateQuery(req) {
+  const lat = Number(req.query.lat);
+  const lon = Number(req.query.lon);
+  if (req.query.lat == null || req.query.lon == null || !Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return null;
+  }
+  return { lat, lon };
+}
+
+function formatAirportMatch({ airport, distanceKm }) {
+  return { ...airport, distanceKm: Number(distanceKm.toFixed(2)) };
+}
+
+app.get('/airports/nearest', requireRole('viewer'), (req, res) => {
+  const point = parseCoordinateQuery(req);
+  if (!point) return res.status(400).json(err(400, 'lat and lon query parameters are required'));
+  const limit = Math.min(Math.max(parseInt(req.query.limit || '1', 10) || 1, 1), 50);
+  const matches = findNearestAirports(point.lat, point.lon, limit).map(formatAirportMatch);
+  res.json({ ok: true, count: matches.length, airports: matches });
+});
+
+app.get('/airports/within', requireRole('viewer'), (req, res) => {
+  const point = parseCoordinateQuery(req);
+  if (!point) return res.status(400).json(err(400, 'lat and lon query parameters are required'));
+  const radiusKm = Number(req.query.radiusKm);
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > 2000) {
+    return res.status(400).json(err(400, 'radiusKm must be a number between 0 and 2000'));
+  }
+  const matches = findAirportsWithin(point.lat, point.lon, radiusKm).map(formatAirportMatch);
+  res.json({ ok: true, count: matches.length, airports: matches });
+});
+
+app.get('/airports/:icao', requireRole('viewer'), (req, res) => {
+  const airport = findAirportByIcao(req.params.icao);
+  if (!airport) return res.status(404).json(err(404, `Airport not found: ${req.params.icao}`));
+  res.json({ ok: true, airport });
+});
+
+app.get('/va-rules', requireRole('viewer'), (req, res) => {
+  res.json({ ok: true, count: vaRules.length, rules: vaRules.map(r => ({ ...r, createdAt: toIso(r.createdAt) })) });
+});
+
+app.post('/va-rules', requireRole('operator'), (req, res) => {
+  const input = req.body || {};
+  const problem = validateVaRule(input);
+  if (problem) return res.status(400).json(err(400, problem));
+  const rule = normalizeVaRule(input);
+  vaRules.push(rule);
+  try {
+    saveVaRules();
+  } catch (e) {
+    vaRules = vaRules.filter(r => r.id !== rule.id);
+    return res.status(500).json(err(500, 'Failed to save VA rule', { detail: e?.message }));
+  }
+  res.status(201).json({ ok: true, rule: { ...rule, createdAt: toIso(rule.createdAt) } });
+});
+
+app.delete('/va-rules/:id', requireRole('operator'), (req, res) => {
+  const rule = vaRules.find(r => r.id === req.params.id);
+  if (!rule) return res.status(404).json(err(404, 'VA rule not found'));
+  vaRules = vaRules.filter(r => r.id !== rule.id);
+  try {
+    saveVaRules();
+  } catch (e) {
+    vaRules.push(rule);
+    return res.status(500).json(err(500, 'Failed to delete VA rule', { detail: e?.message }));
+  }
+  res.json({ ok: true, deleted: rule.id });
+});
+
+const formatRulesProfile = (p) => ({ ...p, createdAt: toIso(p.createdAt) });
+
+app.get('/rules-profiles', requireRole('viewer'), (req, res) => {
+  res.json({ ok: true, defaults: DEFAULT_RULES, count: rulesProfiles.length, profiles: rulesProfiles.map(formatRulesProfile) });
+});
+
+app.post('/rules-profiles', requireRole('operator'), (req, res) => {
+  const input = req.body || {};
+  const problem = validateRulesProfile(input);
+  if (problem) return res.status(400).json(err(400, problem));
+  const profile = normalizeRulesProfile(input);
+  rulesProfiles.push(profile);
+  try {
+    saveRulesProfiles();
+  } catch (e) {
+    rulesProfiles = rulesProfiles.filter(p => p.id !== profile.id);
+    return res.status(500).json(err(500, 'Failed to save rules profile', { detail: e?.message }));
+  }
+  res.status(201).json({ ok: true, profile: formatRulesProfile(profile) });
+});
+
+app.delete('/rules-profiles/:id', requireRole('operator'), (req, res) => {
+  const profile = rulesProfiles.find(p => p.id === req.params.id);
+  if (!profile) return res.status(404).json(err(404, 'rules profile not found'));
+  rulesProfiles = rulesProfiles.filter(p => p.id !== profile.id);
+  try {
+    saveRulesProfiles();
+  } catch (e) {
+    rulesProfiles.push(profile);
+    return res.status(500).json(err(500, 'Failed to delete rules profile', { detail: e?.message }));
+  }
+  res.json({ ok: true, deleted: profile.id });
+});
+
+app.get('/geofences', requireRole('viewer'), (req, res) => {
+  res.json({ ok: true, count: geofences.length, geofences: geofences.map(formatGeofence) });
+});
+
+app.get('/geofences/:id', requireRole('viewer'), (req, res) => {
+  const g = geofences.find(x => x.id === req.params.id);
+  if (!g) return res.status(404).json(err(404, 'geofence not found'));
+  const inside = [...trackers.values()]
+    .filter(t => (t.status === 'searching' || t.status === 'tracking') && t.geofences?.[g.id]?.inside)
+    .map(t => ({ trackerId: t.id, username: t.username, userId: t.userId || null, since: toIso(t.geofences[g.id].since) }));
+  res.json({ ok: true, geofence: formatGeofence(g), inside });
+});
+
+app.post('/geofences', requireRole('operator'), (req, res) => {
+  const input = req.body || {};
+  if (input.icao && !findAirportByIcao(input.icao)) return res.status(400).json(err(400, `unknown airport ${input.icao}`));
+  const g = normalizeGeofence(input);
+  const problem = validateGeofence(g);
+  if (problem) return res.status(400).json(err(400, problem));
+  geofences.push(g);
+  try {
+    saveGeofences();
+  } catch (e) {
+    geofences = geofences.filter(x => x.id !== g.id);
+    return res.status(500).json(err(500, 'Failed to save geofence', { detail: e?.message }));
+  }
+  res.status(201).json({ ok: true, geofence: formatGeofence(g) });
+});
+
+app.delete('/geofences/:id', requireRole('operator'), (req, res) => {
+  const g = geofences.find(x => x.id === req.params.id);
+  if (!g) return res.status(404).json(err(404, 'geofence not found'));
+  geofences = geofences.filter(x => x.id !== g.id);
+  try {
+    saveGeofences();
+  } catch (e) {
+    geofences.push(g);
+    return res.status(500).json(err(500, 'Failed to delete geofence', { detail: e?.message }));
+  }
+  res.json({ ok: true, deleted: g.id });
+});
+
+function summarizeTracker(t) {
+  const pos = t.flight?.position;
+  return {
     id: t.id,
     username: t.username,
+    userId: t.userId || null,
     server: t.server,
     status: t.status,
+    phase: t.phase || null,
+    callsign: t.flight?.callsign || null,
+    position: pos && typeof pos.lat === 'number'
+      ? { lat: pos.lat, lon: pos.lon, alt_ft: pos.alt_ft, gs_kt: pos.gs_kt, vs_fpm: pos.vs_fpm, heading_deg: pos.heading_deg, track_deg: pos.track_deg }
+      : null,
+    flightPlanId: t.flightPlan?.flightPlanId || null,
     startedAt: new Date(t.startedAt).toISOString(),
     lastSeenAt: t.lastSeenAt ? new Date(t.lastSeenAt).toISOString() : null,
     nextPollAt: t.nextPollAt ? new Date(t.nextPollAt).toISOString() : null,
     timeoutAt: new Date(t.timeoutAt).toISOString(),
+    rulesProfile: t.rules?.profile || 'default',
     attempts: t.attempts
-  }));
+  };
+}
+
+app.get('/track/active', requireRole('viewer'), (req, res) => {
+  const active = getActiveTrackers().map(summarizeTracker);
   res.json({ ok: true, count: active.length, trackers: active });
 });
 
-app.post('/track/start', async (req, res) => {
+/**
+ * Server-Sent Events stream of tracker changes. Optional filters: ?id=<trackerId>
+ * and/or ?username=<name>. Starts with a `snapshot` of matching active trackers.
+ */
+app.get('/track/stream', requireRole('viewer'), (req, res) => {
+  const idFilter = req.query.id ? String(req.query.id) : null;
+  const usernameFilter = req.query.username ? String(req.query.username).toLowerCase() : null;
+  const matches = (t) =>
+    (!idFilter || t.id === idFilter) &&
+    (!usernameFilter || (t.username || '').toLowerCase() === usernameFilter);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  send('snapshot', { trackers: getActiveTrackers().filter(matches).map(summarizeTracker) });
+
+  const onEvent = ({ type, tracker, data, timestamp }) => {
+    if (!matches(tracker)) return;
+    send(type, { trackerId: tracker.id, tracker: summarizeTracker(tracker), ...data, timestamp: toIso(timestamp) });
+  };
+  trackerEvents.on('event', onEvent);
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEPALIVE_MS);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    trackerEvents.off('event', onEvent);
+  });
+});
+
+app.post('/track/start', requireRole('operator'), async (req, res) => {
+  const input = req.body || {};
+  if (input.rulesProfile != null && !findRulesProfile(input.rulesProfile)) {
+    return res.status(400).json(err(400, `unknown rules profile "${input.rulesProfile}"`));
+  }
+  if (input.rules != null) {
+    const problem = validateRules(input.rules);
+    if (problem) return res.status(400).json(err(400, problem));
+  }
   try {
-    const created = addTrackers(req.body || {});
-    if (!created.length) return res.status(400).json(err(400, 'username or usernames required'));
+    const created = addTrackers(input);
+    if (!created.length) return res.status(400).json(err(400, 'username, usernames, userId or userIds required'));
     res.json({
       ok: true,
       trackers: created.map(t => ({
         id: t.id,
         username: t.username,
+        userId: t.userId || null,
         server: t.server,
         status: t.status,
         startedAt: new Date(t.startedAt).toISOString(),
         timeoutAt: new Date(t.timeoutAt).toISOString(),
+        rules: t.rules,
       }))
     });
   } catch (e) {
@@ -892,46 +3962,210 @@ app.post('/track/start', async (req, res) => {
   }
 });
 
-app.get('/track/:id', (req, res) => {
+app.get('/track/:id', requireRole('viewer'), (req, res) => {
   const t = trackers.get(req.params.id);
   if (!t) return res.status(404).json(err(404, 'tracker not found'));
   res.json({ ok: true, tracker: {
     id: t.id,
     username: t.username,
+    userId: t.userId || null,
     server: t.server,
     status: t.status,
+    phase: t.phase || null,
+    phaseChangedAt: t.phaseChangedAt ? new Date(t.phaseChangedAt).toISOString() : null,
     startedAt: new Date(t.startedAt).toISOString(),
     lastPolledAt: t.lastPolledAt ? new Date(t.lastPolledAt).toISOString() : null,
     lastSeenAt: t.lastSeenAt ? new Date(t.lastSeenAt).toISOString() : null,
     nextPollAt: t.nextPollAt ? new Date(t.nextPollAt).toISOString() : null,
+    finishedAt: toIso(t.finishedAt),
     attempts: t.attempts,
     flight: t.flight,
     lastKnownFlight: t.lastKnownFlight,
+    source: t.source || { type: 'manual' },
+    atc: t.atc ? { ...t.atc, updatedAt: toIso(t.atc.updatedAt) } : null,
+    geofences: Object.entries(t.geofences || {})
+      .filter(([, st]) => st.inside)
+      .map(([id, st]) => ({ id, name: geofences.find(g => g.id === id)?.name || null, since: toIso(st.since) })),
+    plannedRoute: t.plannedRoute || null,
+    flightPlan: t.flightPlan || null,
+    arrivalOutcome: t.arrivalOutcome || null,
+    runways: t.runways || null,
+    rules: t.rules || null,
     timeoutAt: new Date(t.timeoutAt).toISOString(),
     history: t.history.map(h => ({...h, timestamp: new Date(h.timestamp).toISOString()})),
   }});
 });
 
-app.post('/track/:id/stop', (req, res) => {
+app.get('/track/:id/pirep', requireRole('viewer'), (req, res) => {
+  const t = trackers.get(req.params.id);
+  if (!t) return res.status(404).json(err(404, 'tracker not found'));
+  if (!t.pirep) return res.status(404).json(err(404, 'No PIREP yet. A PIREP is filed when the tracked flight lands.', { status: t.status }));
+  res.json({ ok: true, pirep: formatPirep(t.pirep) });
+});
+
+/**
+ * Recorded breadcrumbs. Optional: ?from= and ?to= (ISO time or epoch ms), ?resolution=
+ * (minimum seconds between points) and ?maxPoints=.
+ */
+app.get('/track/:id/trail', requireRole('viewer'), (req, res) => {
+  const t = trackers.get(req.params.id);
+  if (!t) return res.status(404).json(err(404, 'tracker not found'));
+  const parseTime = (v) => {
+    if (v == null || v === '') return null;
+    const ms = /^\d+$/.test(String(v)) ? Number(v) : Date.parse(v);
+    return Number.isFinite(ms) ? ms : NaN;
+  };
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+  const resolution = req.query.resolution != null ? Number(req.query.resolution) : 0;
+  const maxPoints = req.query.maxPoints != null ? parseInt(req.query.maxPoints, 10) : 0;
+  if (Number.isNaN(from) || Number.isNaN(to)) return res.status(400).json(err(400, 'from and to must be ISO times or epoch milliseconds'));
+  if (!Number.isFinite(resolution) || resolution < 0) return res.status(400).json(err(400, 'resolution must be a non-negative number of seconds'));
+  if (!Number.isFinite(maxPoints) || maxPoints < 0) return res.status(400).json(err(400, 'maxPoints must be a non-negative integer'));
+
+  const points = sampleTrail(t.trail, { from, to, resolutionMs: resolution * 1000, maxPoints });
+  res.json({
+    ok: true,
+    trackerId: t.id,
+    totalPoints: (t.trail || []).length,
+    count: points.length,
+    points: points.map(p => ({
+      timestamp: toIso(p.ts),
+      lat: p.lat,
+      lon: p.lon,
+      altitude: p.alt,
+      groundSpeed: p.gs,
+      verticalSpeed: p.vs,
+      track: p.trk,
+    })),
+  });
+});
+
+/**
+ * The tracked flight's route and filed plan as geojson, kml, gpx or csv. Uses the IF route,
+ * or the recorded breadcrumbs when IF has none.
+ */
+app.get('/track/:id/trail.:format', requireRole('viewer'), async (req, res) => {
+  const t = trackers.get(req.params.id);
+  if (!t) return res.status(404).json(err(404, 'tracker not found'));
+  const { format } = req.params;
+  if (!EXPORT_FORMATS[String(format).toLowerCase()]) return sendRouteExport(res, format);
+  const ref = t.lastKnownFlight;
+  if (!ref?.flightId) return res.status(404).json(err(404, 'No flight yet. The trail is available once the pilot has been found online.'));
+  try {
+    let route = simplifyFlightRoute(await getFlightRoute(ref.sessionId, ref.flightId).catch(() => []));
+    if (!route.length) route = trailToRoute(t.trail || []);
+    const callsign = t.flight?.callsign || t.pirep?.callsign;
+    const name = [pilotLabel(t), callsign].filter(Boolean).join(' - ');
+    sendRouteExport(res, format, `trail-${t.username || t.userId}-${ref.flightId}`, { name, route, waypoints: t.flightPlan?.waypoints || [] });
+  } catch (e) {
+    const status = e?.status || e?.response?.status || 500;
+    res.status(status).json(err(status, 'Failed to export trail', { apiErrorCode: e?.errorCode, detail: e?.message }));
+  }
+});
+
+/**
+ * NOTAMs relevant to this flight (see "NOTAM relevance"). Uses the session the flight was
+ * last seen in, else the tracker's server.
+ */
+app.get('/track/:id/notams', requireRole('viewer'), async (req, res) => {
+  const t = trackers.get(req.params.id);
+  if (!t) return res.status(404).json(err(404, 'tracker not found'));
+  try {
+    let sessionId = t.lastKnownFlight?.sessionId;
+    if (!sessionId) sessionId = pickSessionIdByName((await getSessionsCached({ allowStale: true })).value, t.server);
+    if (!sessionId) return res.status(404).json(err(404, `no session for server "${t.server}"`));
+    const notamsResult = await getNotamsCached(sessionId, { allowStale: true });
+    const notams = getRelevantNotams(t, notamsResult.value, clock.now());
+    const { departureIcao, arrivalIcao } = getTrackerAirports(t);
+    setCacheHeaders(res, notamsResult);
+    res.json({ ok: true, departure: departureIcao, arrival: arrivalIcao, count: notams.length, notams });
+  } catch (e) {
+    const status = e?.status || e?.response?.status || 500;
+    res.status(status).json(err(status, 'Failed to fetch NOTAMs', { apiErrorCode: e?.errorCode, detail: e?.message }));
+  }
+});
+
+/**
+ * This tracker's recent log lines (see "Logging"), oldest first. Optional: ?level= (minimum
+ * level, default debug) and ?limit= (newest N).
+ */
+app.get('/track/:id/logs', requireRole('viewer'), (req, res) => {
+  const t = trackers.get(req.params.id);
+  if (!t) return res.status(404).json(err(404, 'tracker not found'));
+  const level = String(req.query.level || 'debug').toLowerCase();
+  const limit = req.query.limit != null ? parseInt(req.query.limit, 10) : 0;
+  if (!LOG_LEVELS[level] || level === 'silent') return res.status(400).json(err(400, 'level must be one of debug, info, warn, error'));
+  if (!Number.isFinite(limit) || limit < 0) return res.status(400).json(err(400, 'limit must be a non-negative integer'));
+
+  let logs = (trackerLogs.get(t.id) || []).filter(entry => LOG_LEVELS[entry.level] >= LOG_LEVELS[level]);
+  if (limit) logs = logs.slice(-limit);
+  res.json({ ok: true, trackerId: t.id, count: logs.length, logs });
+});
+
+app.get('/track/:id/deliveries', requireRole('operator'), (req, res) => {
+  const t = trackers.get(req.params.id);
+  if (!t) return res.status(404).json(err(404, 'tracker not found'));
+  const statusFilter = req.query.status ? String(req.query.status) : null;
+  const includePayload = req.query.payload === '1';
+  const deliveries = (t.deliveries || [])
+    .filter(d => !statusFilter || d.status === statusFilter)
+    .map(d => formatDelivery(d, { includePayload }));
+  res.json({ ok: true, count: deliveries.length, deliveries });
+});
+
+app.post('/track/:id/deliveries/:deliveryId/redeliver', requireRole('operator'), async (req, res) => {
+  const t = trackers.get(req.params.id);
+  if (!t) return res.status(404).json(err(404, 'tracker not found'));
+  const original = (t.deliveries || []).find(d => d.id === req.params.deliveryId);
+  if (!original) return res.status(404).json(err(404, 'delivery not found'));
+  try {
+    const d = await redeliver(t, original);
+    res.json({ ok: true, delivery: formatDelivery(d) });
+  } catch (e) {
+    res.status(500).json(err(500, 'Failed to redeliver', { detail: e?.message }));
+  }
+});
+
+app.get('/deliveries/dead-letter', requireRole('operator'), (req, res) => {
+  const deliveries = [];
+  for (const t of trackers.values()) {
+    for (const d of t.deliveries || []) {
+      if (d.status === 'dead_letter') deliveries.push({ trackerId: t.id, username: t.username, ...formatDelivery(d) });
+    }
+  }
+  for (const w of atcWatches) {
+    for (const d of w.deliveries || []) {
+      if (d.status === 'dead_letter') deliveries.push({ atcWatchId: w.id, icao: w.icao, ...formatDelivery(d) });
+    }
+  }
+  res.json({ ok: true, count: deliveries.length, deliveries });
+});
+
+app.post('/track/:id/stop', requireRole('operator'), (req, res) => {
   const t = trackers.get(req.params.id);
   if (!t) return res.status(404).json(err(404, 'tracker not found'));
-  t.status = 'stopped';
-  t.history.push({ event: 'stopped', timestamp: Date.now() });
+  setStatus(t, 'stopped');
+  addHistory(t, { event: 'stopped', timestamp: clock.now() });
   trackers.set(t.id, t);
+  emitTrackerEvent('updated', t);
+  saveTrackers();
   notifyCallback(t, { reason: 'stopped_by_request' });
   res.json({ ok: true, status: t.status });
 });
 
-app.post('/track/:id/delay', (req, res) => {
+app.post('/track/:id/delay', requireRole('operator'), (req, res) => {
   const t = trackers.get(req.params.id);
   if (!t) return res.status(404).json(err(404, 'tracker not found'));
 
   // Delay the next poll by 5 minutes from now
   const delayMs = 5 * 60 * 1000;
-  t.nextPollAt = Date.now() + delayMs;
+  t.nextPollAt = clock.now() + delayMs;
   
-  t.history.push({ event: 'delayed_by_test', timestamp: Date.now() });
+  addHistory(t, { event: 'delayed_by_test', timestamp: clock.now() });
   trackers.set(t.id, t);
+  emitTrackerEvent('updated', t);
+  saveTrackers();
   
   res.json({ 
     ok: true, 
@@ -942,13 +4176,79 @@ app.post('/track/:id/delay', (req, res) => {
 
 /* =========================
  * Startup
- * ========================= */
-app.listen(PORT, () => {
-  console.log(`✅ Live Flight Tracker ready: http://localhost:${PORT}`);
-  console.log('🌐 Base URL:', IF_API_BASE_URL);
-  console.log(`🔁 Tracking: poll=${POLL_MS}ms background=${BACKGROUND_POLL_MS}ms timeout=${SEARCH_TIMEOUT_MS / (60 * 60 * 1000)}h`);
-  console.log(`🛩️  Default IF Server: "${DEFAULT_IF_SERVER}"`);
-  if (!IF_API_KEY) {
-    console.warn('⚠️  IF API key is missing. Set INFINITE_FLIGHT_API_KEY in your .env file.');
-  }
-});
\ No newline at end of file
+ * =========================
+ * start() loads the stores, starts the engine timers on `clock` and listens. It runs when
+ * this file is executed directly; the test suite requires it and calls start() itself.
+ */
+let server = null;
+let engineTimers = [];
+
+function start({ port = PORT, handleSignals = true } = {}) {
+  loadRulesProfiles(); // before the trackers, which resolve their rules on load
+  loadTrackers();
+  loadApiKeys();
+  loadVaRules();
+  loadGeofences();
+  loadAtcWatchlist();
+
+  engineTimers = [
+    clock.setInterval(runPoll, TICK_MS),
+    clock.setInterval(processDueDeliveries, WEBHOOK_RETRY_TICK_MS),
+    clock.setInterval(scanAtcWatchlist, ATC_SCAN_MS),
+  ];
+  if (handleSignals) {
+    process.on('SIGINT', flushTrackersAndExit);
+    process.on('SIGTERM', flushTrackersAndExit);
+  }
+
+  return new Promise(resolve => {
+    server = app.listen(port, () => {
+      const { port: boundPort } = server.address();
+      log.info('Live Flight Tracker ready', {
+        url: `http://localhost:${boundPort}`,
+        ifApiBaseUrl: IF_API_BASE_URL,
+        pollMs: POLL_MS,
+        backgroundPollMs: BACKGROUND_POLL_MS,
+        searchTimeoutHours: SEARCH_TIMEOUT_MS / (60 * 60 * 1000),
+        defaultServer: DEFAULT_IF_SERVER,
+        logLevel: LOG_LEVEL,
+      });
+      if (!IF_API_KEY) {
+        log.warn('IF API key is missing. Set INFINITE_FLIGHT_API_KEY in your .env file.');
+      }
+      if (!ACARS_ADMIN_KEY && !apiKeys.some(k => !k.revokedAt)) {
+        log.warn('No API keys configured. Set ACARS_ADMIN_KEY to issue keys; protected routes will return 401 until then.');
+      }
+      // Resume restored trackers right away instead of waiting a full POLL_MS.
+      if (getActiveTrackers().length) runPoll();
+      resolve(server);
+    });
+  });
+}
+
+// Stops the timers and the HTTP server (SSE streams included) and flushes the tracker store.
+async function stop() {
+  engineTimers.forEach(timer => clock.clearInterval(timer));
+  engineTimers = [];
+  if (server) {
+    const closing = new Promise(resolve => server.close(() => resolve()));
+    if (server.closeAllConnections) server.closeAllConnections();
+    server = null;
+    await closing;
+  }
+  await saveChain;
+  flushTrackers();
+}
+
+if (require.main === module) start();
+
+module.exports = {
+  app,
+  start,
+  stop,
+  setClock,
+  runPoll,
+  pollOnce,
+  trackers,
+  trackerEvents,
+};
@@ -1,27 +1,91 @@
 document.addEventListener('DOMContentLoaded', () => {
-    const API_BASE_URL = 'https://acars-backend-uxln.onrender.com';
+    // The dashboard is served by the backend itself, so talk to the same origin.
+    const API_BASE_URL = window.location.origin;
     const trackersContainer = document.getElementById('trackers-container');
     const startTrackerForm = document.getElementById('start-tracker-form');
     const errorMessage = document.getElementById('error-message');
+    const apiKeyForm = document.getElementById('api-key-form');
+    const apiKeyInput = document.getElementById('api-key');
 
-    // Modal elements
-    const modal = document.getElementById('details-modal');
-    const modalContent = document.getElementById('modal-details-content');
-    const closeModal = document.querySelector('.close-button');
+    // Map elements
+    const mapSvg = document.getElementById('map');
+    const mapLand = document.getElementById('map-land');
+    const mapPlans = document.getElementById('map-plans');
+    const mapTrails = document.getElementById('map-trails');
+    const mapAircraft = document.getElementById('map-aircraft');
+
+    // Active trackers by id, kept current by the event stream (or by polling as a fallback)
+    const activeTrackers = new Map();
+    const ACTIVE_STATUSES = ['searching', 'tracking'];
+    const POLL_INTERVAL_MS = 5000;
+    let pollTimer = null;
+    let stream = null;
+
+    // API key for the backend (viewer role to watch, operator to start/stop trackers)
+    const API_KEY_STORAGE = 'acarsApiKey';
+    let apiKey = localStorage.getItem(API_KEY_STORAGE) || '';
+    apiKeyInput.value = apiKey;
+
+    const authHeaders = () => (apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
+
+    // EventSource and download links can't send headers, so they carry a short-lived link token.
+    const getLinkToken = async () => {
+        if (!apiKey) return null;
+        const response = await fetch(`${API_BASE_URL}/auth/link-token`, { method: 'POST', headers: authHeaders() });
+        if (!response.ok) return null;
+        return (await response.json()).token;
+    };
+
+    // Usernames and servers come from Infinite Flight, so everything put into innerHTML is escaped.
+    const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+    // Map state. Coordinates are plotted equirectangular: x = lon, y = -lat.
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const WORLD_VIEW = { x: -180, y: -90, w: 360, h: 180 };
+    const TRAIL_MAX_POINTS = 500;
+    const trails = new Map(); // tracker id -> [[lon, lat], ...]
+    const plans = new Map();  // tracker id -> { flightPlanId, waypoints }
+    let view = { ...WORLD_VIEW };
+    let selectedTrackerId = null;
+    let hasFitted = false;
 
     // --- Core Functions ---
 
+    const replaceTrackers = (trackers) => {
+        activeTrackers.clear();
+        (trackers || []).forEach(t => activeTrackers.set(t.id, t));
+        renderTrackers([...activeTrackers.values()]);
+        syncMapData();
+    };
+
+    const upsertTracker = (tracker) => {
+        if (ACTIVE_STATUSES.includes(tracker.status)) {
+            activeTrackers.set(tracker.id, tracker);
+        } else {
+            activeTrackers.delete(tracker.id);
+        }
+        renderTrackers([...activeTrackers.values()]);
+        syncMapData();
+    };
+
+    // Resolves to false when the backend refused the API key (or the lack of one).
     const fetchActiveTrackers = async () => {
         try {
-            const response = await fetch(`${API_BASE_URL}/track/active`);
+            const response = await fetch(`${API_BASE_URL}/track/active`, { headers: authHeaders() });
+            if (response.status === 401 || response.status === 403) {
+                stopPolling(); // retrying won't help until a key is entered
+                trackersContainer.innerHTML = '<p class="error-text">Enter a valid API key to view trackers.</p>';
+                return false;
+            }
             if (!response.ok) throw new Error('Failed to fetch from backend.');
             const data = await response.json();
-            renderTrackers(data.trackers);
+            replaceTrackers(data.trackers);
             errorMessage.textContent = '';
         } catch (error) {
             console.error('Error fetching trackers:', error);
             trackersContainer.innerHTML = `<p class="error-text">Could not connect to the backend at ${API_BASE_URL}. Is it running?</p>`;
         }
+        return true;
     };
 
     const renderTrackers = (trackers) => {
@@ -33,21 +97,24 @@ document.addEventListener('DOMContentLoaded', () => {
         trackersContainer.innerHTML = ''; // Clear previous content
         trackers.forEach(tracker => {
             const card = document.createElement('div');
-            card.className = 'tracker-card';
+            card.className = `tracker-card${tracker.id === selectedTrackerId ? ' selected' : ''}`;
+            card.dataset.trackerId = tracker.id;
+            const id = escapeHtml(tracker.id);
+            const status = escapeHtml(tracker.status);
             card.innerHTML = `
                 <div class="tracker-header">
-                    <span class="tracker-title">${tracker.username}</span>
-                    <span class="tracker-status status-${tracker.status.toLowerCase()}">${tracker.status}</span>
+                    <span class="tracker-title">${escapeHtml(tracker.username || `userId:${tracker.userId}`)}</span>
+                    <span class="tracker-status status-${status.toLowerCase()}">${status}</span>
                 </div>
                 <div class="tracker-info">
-                    <p><strong>Server:</strong> ${tracker.server}</p>
-                    <p><strong>Next Poll:</strong> ${new Date(tracker.nextPollAt).toLocaleTimeString()}</p>
-                    <p><strong>ID:</strong> ${tracker.id}</p>
+                    <p><strong>Server:</strong> ${escapeHtml(tracker.server)}</p>
+                    <p><strong>Next Poll:</strong> ${escapeHtml(new Date(tracker.nextPollAt).toLocaleTimeString())}</p>
+                    <p><strong>ID:</strong> ${id}</p>
                 </div>
                 <div class="tracker-actions">
-                    <button class="btn-details" data-id="${tracker.id}">Details</button>
-                    <button class="btn-delay" data-id="${tracker.id}">Delay Next Poll (5m)</button>
-                    <button class="btn-stop" data-id="${tracker.id}">Stop</button>
+                    <button class="btn-details" data-id="${id}">Details</button>
+                    <button class="btn-delay" data-id="${id}">Delay Next Poll (5m)</button>
+                    <button class="btn-stop" data-id="${id}">Stop</button>
                 </div>
             `;
             trackersContainer.appendChild(card);
@@ -60,7 +127,7 @@ document.addEventListener('DOMContentLoaded', () => {
         try {
             const options = {
                 method,
-                headers: { 'Content-Type': 'application/json' },
+                headers: { 'Content-Type': 'application/json', ...authHeaders() },
             };
             if (body) options.body = JSON.stringify(body);
 
@@ -89,36 +156,304 @@ document.addEventListener('DOMContentLoaded', () => {
 
     trackersContainer.addEventListener('click', (e) => {
         const trackerId = e.target.dataset.id;
-        if (!trackerId) return;
+        if (!trackerId) {
+            const card = e.target.closest('.tracker-card');
+            if (card) selectTracker(card.dataset.trackerId);
+            return;
+        }
 
         if (e.target.classList.contains('btn-stop')) {
             handleApiAction(`${API_BASE_URL}/track/${trackerId}/stop`, 'POST');
         } else if (e.target.classList.contains('btn-delay')) {
             handleApiAction(`${API_BASE_URL}/track/${trackerId}/delay`, 'POST');
         } else if (e.target.classList.contains('btn-details')) {
-            showDetailsModal(trackerId);
+            window.location.href = `tracker.html?id=${encodeURIComponent(trackerId)}`;
         }
     });
 
-    const showDetailsModal = async (trackerId) => {
+    // --- Map ---
+
+    const svgEl = (tag, attrs = {}) => {
+        const el = document.createElementNS(SVG_NS, tag);
+        Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v));
+        return el;
+    };
+
+    // Path through [lon, lat] points, lifting the pen where a line would wrap the antimeridian.
+    const toPathData = (points) => points.map(([lon, lat], i) => {
+        const jump = i > 0 && Math.abs(lon - points[i - 1][0]) > 180;
+        return `${i === 0 || jump ? 'M' : 'L'}${lon.toFixed(3)} ${(-lat).toFixed(3)}`;
+    }).join('');
+
+    const applyView = () => {
+        mapSvg.setAttribute('viewBox', `${view.x} ${view.y} ${view.w} ${view.h}`);
+        renderMap(); // icon sizes follow the zoom level
+    };
+
+    const loadWorldOutline = async () => {
+        try {
+            const response = await fetch('world-outline.json');
+            const outline = await response.json();
+            mapLand.innerHTML = '';
+            outline.rings.forEach(ring => mapLand.appendChild(svgEl('path', { d: `${toPathData(ring)}Z` })));
+        } catch (error) {
+            console.error('Could not load the world outline:', error);
+        }
+    };
+
+    const fetchTrail = async (trackerId) => {
         try {
-            const response = await fetch(`${API_BASE_URL}/track/${trackerId}`);
+            const response = await fetch(`${API_BASE_URL}/track/${trackerId}/trail?maxPoints=${TRAIL_MAX_POINTS}`, { headers: authHeaders() });
+            if (!response.ok) return;
             const data = await response.json();
-            modalContent.textContent = JSON.stringify(data.tracker, null, 2);
-            modal.style.display = 'block';
+            const recorded = data.points.map(p => [p.lon, p.lat]);
+            trails.set(trackerId, recorded.concat(trails.get(trackerId) || []));
+            renderMap();
         } catch (error) {
-            errorMessage.textContent = 'Could not fetch tracker details.';
+            console.error('Error fetching trail:', error);
         }
     };
-    
-    closeModal.onclick = () => { modal.style.display = 'none'; };
-    window.onclick = (event) => {
-        if (event.target === modal) {
-            modal.style.display = 'none';
+
+    const fetchPlan = async (trackerId, flightPlanId) => {
+        plans.set(trackerId, { flightPlanId, waypoints: [] });
+        try {
+            const response = await fetch(`${API_BASE_URL}/track/${trackerId}`, { headers: authHeaders() });
+            if (!response.ok) return;
+            const data = await response.json();
+            plans.set(trackerId, { flightPlanId, waypoints: data.tracker.flightPlan?.waypoints || [] });
+            renderMap();
+        } catch (error) {
+            console.error('Error fetching flight plan:', error);
+        }
+    };
+
+    // Keeps trails and plans in step with the tracker list: fetches what's new, appends live
+    // positions to known trails and forgets trackers that are no longer active.
+    const syncMapData = () => {
+        [...trails.keys()].filter(id => !activeTrackers.has(id)).forEach(id => trails.delete(id));
+        [...plans.keys()].filter(id => !activeTrackers.has(id)).forEach(id => plans.delete(id));
+
+        activeTrackers.forEach(tracker => {
+            const pos = tracker.position;
+            if (!trails.has(tracker.id)) {
+                trails.set(tracker.id, []);
+                if (pos) fetchTrail(tracker.id);
+            } else if (pos) {
+                const trail = trails.get(tracker.id);
+                const last = trail[trail.length - 1];
+                if (!last || last[0] !== pos.lon || last[1] !== pos.lat) trail.push([pos.lon, pos.lat]);
+                if (trail.length > TRAIL_MAX_POINTS * 2) trail.splice(0, trail.length - TRAIL_MAX_POINTS * 2);
+            }
+            if (tracker.flightPlanId && plans.get(tracker.id)?.flightPlanId !== tracker.flightPlanId) {
+                fetchPlan(tracker.id, tracker.flightPlanId);
+            }
+        });
+
+        if (!hasFitted && [...activeTrackers.values()].some(t => t.position)) {
+            hasFitted = true;
+            fitToFlights();
+        } else {
+            renderMap();
         }
     };
 
-    // --- Initial Load & Interval ---
-    fetchActiveTrackers(); // Initial fetch
-    setInterval(fetchActiveTrackers, 5000); // Refresh every 5 seconds
+    const renderMap = () => {
+        const iconSize = view.w / 60;
+        mapPlans.innerHTML = '';
+        mapTrails.innerHTML = '';
+        mapAircraft.innerHTML = '';
+
+        plans.forEach(({ waypoints }) => {
+            if (waypoints.length < 2) return;
+            mapPlans.appendChild(svgEl('path', { class: 'map-plan', d: toPathData(waypoints.map(w => [w.lon, w.lat])) }));
+            waypoints.forEach(w => {
+                const dot = svgEl('circle', { class: 'map-waypoint', cx: w.lon, cy: -w.lat, r: iconSize / 6 });
+                const title = svgEl('title');
+                title.textContent = w.name;
+                dot.appendChild(title);
+                mapPlans.appendChild(dot);
+            });
+        });
+
+        trails.forEach(points => {
+            if (points.length > 1) mapTrails.appendChild(svgEl('path', { class: 'map-trail', d: toPathData(points) }));
+        });
+
+        activeTrackers.forEach(tracker => {
+            const pos = tracker.position;
+            if (!pos) return;
+            const heading = pos.heading_deg ?? pos.track_deg ?? 0;
+            const group = svgEl('g', {
+                class: `map-aircraft${tracker.id === selectedTrackerId ? ' selected' : ''}`,
+                transform: `translate(${pos.lon} ${-pos.lat})`,
+                'data-tracker-id': tracker.id,
+            });
+            // Nose points up (north) before rotation.
+            const s = iconSize / 2;
+            group.appendChild(svgEl('path', {
+                d: `M0 ${-s} L${s * 0.7} ${s} L0 ${s * 0.5} L${-s * 0.7} ${s} Z`,
+                transform: `rotate(${heading})`,
+            }));
+            const label = svgEl('text', { class: 'map-label', x: s * 1.2, y: s * 0.4, 'font-size': iconSize * 0.8 });
+            label.textContent = tracker.callsign || tracker.username || '';
+            group.appendChild(label);
+            const title = svgEl('title');
+            title.textContent = `${tracker.username || tracker.userId} · ${Math.round(pos.alt_ft ?? 0)} ft · ${Math.round(pos.gs_kt ?? 0)} kt`;
+            group.appendChild(title);
+            mapAircraft.appendChild(group);
+        });
+    };
+
+    const fitToFlights = () => {
+        const points = [];
+        activeTrackers.forEach(t => { if (t.position) points.push([t.position.lon, t.position.lat]); });
+        plans.forEach(({ waypoints }) => waypoints.forEach(w => points.push([w.lon, w.lat])));
+        if (!points.length) {
+            view = { ...WORLD_VIEW };
+        } else {
+            const lons = points.map(p => p[0]);
+            const lats = points.map(p => -p[1]);
+            const pad = 3;
+            const minX = Math.min(...lons) - pad;
+            const minY = Math.min(...lats) - pad;
+            // Keep the panel's 2:1 aspect ratio.
+            let w = Math.max(Math.max(...lons) - minX + pad, 20);
+            let h = Math.max(Math.max(...lats) - minY + pad, 10);
+            if (w / h > 2) h = w / 2; else w = h * 2;
+            const cx = (Math.min(...lons) + Math.max(...lons)) / 2;
+            const cy = (Math.min(...lats) + Math.max(...lats)) / 2;
+            view = { x: cx - w / 2, y: cy - h / 2, w, h };
+        }
+        applyView();
+    };
+
+    const selectTracker = (trackerId) => {
+        selectedTrackerId = trackerId;
+        trackersContainer.querySelectorAll('.tracker-card').forEach(card => {
+            card.classList.toggle('selected', card.dataset.trackerId === trackerId);
+        });
+        const card = trackersContainer.querySelector(`.tracker-card[data-tracker-id="${trackerId}"]`);
+        if (card) card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        renderMap();
+    };
+
+    // Screen point -> map coordinates in the current view.
+    const toMapPoint = (e) => {
+        const rect = mapSvg.getBoundingClientRect();
+        const scale = Math.max(view.w / rect.width, view.h / rect.height);
+        const offsetX = (rect.width - view.w / scale) / 2;
+        const offsetY = (rect.height - view.h / scale) / 2;
+        return { x: view.x + (e.clientX - rect.left - offsetX) * scale, y: view.y + (e.clientY - rect.top - offsetY) * scale, scale };
+    };
+
+    mapSvg.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const { x, y } = toMapPoint(e);
+        const factor = e.deltaY < 0 ? 0.8 : 1.25;
+        const w = Math.min(Math.max(view.w * factor, 2), 720);
+        const h = w / 2;
+        view = { x: x - (x - view.x) * (w / view.w), y: y - (y - view.y) * (h / view.h), w, h };
+        applyView();
+    }, { passive: false });
+
+    let drag = null;
+    mapSvg.addEventListener('mousedown', (e) => {
+        drag = { clientX: e.clientX, clientY: e.clientY, scale: toMapPoint(e).scale, view: { ...view }, moved: false };
+    });
+    window.addEventListener('mousemove', (e) => {
+        if (!drag) return;
+        const dx = (e.clientX - drag.clientX) * drag.scale;
+        const dy = (e.clientY - drag.clientY) * drag.scale;
+        if (Math.abs(e.clientX - drag.clientX) + Math.abs(e.clientY - drag.clientY) > 3) drag.moved = true;
+        if (!drag.moved) return;
+        view = { ...drag.view, x: drag.view.x - dx, y: drag.view.y - dy };
+        mapSvg.setAttribute('viewBox', `${view.x} ${view.y} ${view.w} ${view.h}`);
+    });
+    window.addEventListener('mouseup', () => {
+        if (drag?.moved) renderMap();
+        setTimeout(() => { drag = null; }, 0); // let the click handler see whether this was a drag
+    });
+
+    mapAircraft.addEventListener('click', (e) => {
+        if (drag?.moved) return;
+        const aircraft = e.target.closest('.map-aircraft');
+        if (aircraft) selectTracker(aircraft.dataset.trackerId);
+    });
+
+    document.getElementById('map-fit').addEventListener('click', fitToFlights);
+    document.getElementById('map-world').addEventListener('click', () => {
+        view = { ...WORLD_VIEW };
+        applyView();
+    });
+
+    // --- Live Updates ---
+
+    const startPolling = () => {
+        if (pollTimer) return;
+        fetchActiveTrackers();
+        pollTimer = setInterval(fetchActiveTrackers, POLL_INTERVAL_MS);
+    };
+
+    const stopPolling = () => {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    };
+
+    const connectStream = async () => {
+        if (!window.EventSource) {
+            startPolling();
+            return;
+        }
+        if (stream) stream.close();
+        stream = null;
+        let token = null;
+        try {
+            token = await getLinkToken();
+        } catch (error) {
+            console.error('Error fetching a stream token:', error);
+        }
+        // No token: the key is missing or was refused. Only anonymous viewers can still open the
+        // stream; otherwise fetchActiveTrackers() shows the API key prompt and nothing retries.
+        if (!token && !(await fetchActiveTrackers())) return;
+        if (apiKey && !token) {
+            startPolling(); // the backend is unreachable
+            return;
+        }
+        const query = token ? `?token=${encodeURIComponent(token)}` : '';
+        const current = new EventSource(`${API_BASE_URL}/track/stream${query}`);
+        stream = current;
+
+        stream.addEventListener('snapshot', (e) => {
+            replaceTrackers(JSON.parse(e.data).trackers);
+            errorMessage.textContent = '';
+        });
+        ['created', 'updated', 'status_change'].forEach(type => {
+            stream.addEventListener(type, (e) => upsertTracker(JSON.parse(e.data).tracker));
+        });
+
+        // Stream is up: polling not needed. EventSource reconnects by itself after an
+        // error, so poll in the meantime and stop again once it reopens.
+        stream.onopen = stopPolling;
+        stream.onerror = () => {
+            console.warn('Tracker stream interrupted, falling back to polling.');
+            startPolling();
+            // A refused reconnect (the token expired) closes the stream for good: start over with a new token.
+            if (current.readyState === EventSource.CLOSED && stream === current) setTimeout(connectStream, POLL_INTERVAL_MS);
+        };
+    };
+
+    apiKeyForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        apiKey = apiKeyInput.value.trim();
+        if (apiKey) {
+            localStorage.setItem(API_KEY_STORAGE, apiKey);
+        } else {
+            localStorage.removeItem(API_KEY_STORAGE);
+        }
+        connectStream();
+    });
+
+    // --- Initial Load ---
+    loadWorldOutline();
+    connectStream();
 });
\ No newline at end of file
@@ -0,0 +1,293 @@
+document.addEventListener('DOMContentLoaded', () => {
+    // The dashboard is served by the backend itself, so talk to the same origin.
+    const API_BASE_URL = window.location.origin;
+    const trackerId = new URLSearchParams(window.location.search).get('id');
+    const errorMessage = document.getElementById('error-message');
+
+    const titleEl = document.getElementById('detail-title');
+    const pilotEl = document.getElementById('detail-pilot');
+    const statusEl = document.getElementById('detail-status');
+    const summaryEl = document.getElementById('detail-summary');
+    const exportsEl = document.getElementById('detail-exports');
+    const liveEl = document.getElementById('detail-live');
+    const routeEl = document.getElementById('detail-route');
+    const timelineEl = document.getElementById('detail-timeline');
+    const altitudeChart = document.getElementById('altitude-chart');
+    const speedChart = document.getElementById('speed-chart');
+    const chartNote = document.getElementById('chart-note');
+
+    const POLL_INTERVAL_MS = 5000;
+    const PROFILE_REFRESH_MS = 60000; // The IF route only grows slowly; no need to refetch on every update
+    const API_KEY_STORAGE = 'acarsApiKey';
+    const apiKey = localStorage.getItem(API_KEY_STORAGE) || '';
+    const authHeaders = () => (apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
+    // EventSource and download links can't send headers, so they carry a short-lived link token.
+    const getLinkToken = async () => {
+        if (!apiKey) return null;
+        const response = await fetch(`${API_BASE_URL}/auth/link-token`, { method: 'POST', headers: authHeaders() });
+        if (!response.ok) return null;
+        return (await response.json()).token;
+    };
+
+    let tracker = null;
+    let planFlightId = null;
+    let profileFetchedAt = 0;
+    let refreshTimer = null;
+    let pollTimer = null;
+
+    const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    const formatTime = (iso) => (iso ? new Date(iso).toLocaleTimeString() : '-');
+    const formatNumber = (value, digits = 0) => (typeof value === 'number' ? value.toLocaleString(undefined, { maximumFractionDigits: digits }) : '-');
+
+    const getJson = async (path) => {
+        const response = await fetch(`${API_BASE_URL}${path}`, { headers: authHeaders() });
+        if (response.status === 401 || response.status === 403) {
+            const error = new Error('Enter a valid API key on the dashboard to view this tracker.');
+            error.status = response.status;
+            throw error;
+        }
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(data.error?.message || `Request failed (${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    };
+
+    // --- Rendering ---
+
+    const renderSummary = () => {
+        const pilot = tracker.username || `userId ${tracker.userId}`;
+        titleEl.textContent = `${pilot} - Tracker Details`;
+        pilotEl.textContent = [pilot, tracker.flight?.callsign].filter(Boolean).join(' · ');
+        statusEl.textContent = tracker.status;
+        statusEl.className = `tracker-status status-${tracker.status.toLowerCase()}`;
+
+        const rows = [
+            ['Server', tracker.server],
+            ['Phase', tracker.phase || '-'],
+            ['Started', new Date(tracker.startedAt).toLocaleString()],
+            ['Last seen', tracker.lastSeenAt ? new Date(tracker.lastSeenAt).toLocaleString() : '-'],
+            ['Planned', tracker.plannedRoute ? `${tracker.plannedRoute.origin || '?'} → ${tracker.plannedRoute.destination || '?'}` : '-'],
+            ['Outcome', tracker.arrivalOutcome?.classification || '-'],
+        ];
+        summaryEl.innerHTML = rows.map(([label, value]) => `<p><strong>${label}:</strong> ${escapeHtml(value)}</p>`).join('');
+
+        // The link token is added when a link is clicked (see the exports click handler).
+        exportsEl.innerHTML = tracker.lastKnownFlight
+            ? `<strong>Export trail:</strong> ${['geojson', 'kml', 'gpx', 'csv'].map(f => `<a data-export href="${API_BASE_URL}/track/${encodeURIComponent(tracker.id)}/trail.${f}">${f.toUpperCase()}</a>`).join(' ')}`
+            : '';
+    };
+
+    const renderLive = () => {
+        const flight = tracker.flight;
+        if (!flight?.position) {
+            liveEl.innerHTML = '<p>No position yet.</p>';
+            return;
+        }
+        const pos = flight.position;
+        const rows = [
+            ['Position', `${formatNumber(pos.lat, 4)}, ${formatNumber(pos.lon, 4)}`],
+            ['Altitude', `${formatNumber(pos.alt_ft)} ft`],
+            ['Ground speed', `${formatNumber(pos.gs_kt)} kt`],
+            ['Vertical speed', `${formatNumber(pos.vs_fpm)} fpm`],
+            ['Heading', `${formatNumber(pos.heading_deg)}°`],
+            ['Last report', formatTime(pos.lastReport)],
+        ];
+        liveEl.innerHTML = rows.map(([label, value]) => `<p><strong>${label}:</strong> ${escapeHtml(value)}</p>`).join('');
+    };
+
+    // Short description of the fields an event carries beyond its name and time.
+    const describeEvent = (entry) => {
+        const details = Object.entries(entry)
+            .filter(([key, value]) => key !== 'event' && key !== 'timestamp' && value !== null && value !== undefined)
+            .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+        return details.join(', ');
+    };
+
+    const renderTimeline = () => {
+        const history = [...(tracker.history || [])].reverse(); // newest first
+        if (!history.length) {
+            timelineEl.innerHTML = '<li>No events yet.</li>';
+            return;
+        }
+        timelineEl.innerHTML = history.map(entry => `
+            <li class="timeline-item event-${escapeHtml(entry.event)}">
+                <span class="timeline-time">${formatTime(entry.timestamp)}</span>
+                <span class="timeline-event">${escapeHtml(entry.event.replace(/_/g, ' '))}</span>
+                <span class="timeline-details">${escapeHtml(describeEvent(entry))}</span>
+            </li>
+        `).join('');
+    };
+
+    const flattenPlanItems = (items, out = []) => {
+        (items || []).forEach(item => {
+            if (item.name && (item.location?.latitude || item.location?.longitude)) out.push(item);
+            flattenPlanItems(item.children, out);
+        });
+        return out;
+    };
+
+    const renderRoute = (plan) => {
+        const items = flattenPlanItems(plan?.flightPlanItems);
+        if (!items.length) {
+            routeEl.innerHTML = '<p>No flight plan filed.</p>';
+            return;
+        }
+        routeEl.innerHTML = `
+            <p class="route-string">${items.map(i => escapeHtml(i.name)).join(' → ')}</p>
+            <table class="route-table">
+                <thead><tr><th>#</th><th>Waypoint</th><th>Lat</th><th>Lon</th><th>Altitude</th></tr></thead>
+                <tbody>${items.map((item, i) => `
+                    <tr>
+                        <td>${i + 1}</td>
+                        <td>${escapeHtml(item.name)}</td>
+                        <td>${formatNumber(item.location.latitude, 4)}</td>
+                        <td>${formatNumber(item.location.longitude, 4)}</td>
+                        <td>${item.altitude > 0 ? `${formatNumber(item.altitude)} ft` : '-'}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+    };
+
+    // Line chart of { t, v } points drawn into a 600x180 SVG; time on x, value on y.
+    const renderChart = (svg, points, label) => {
+        svg.innerHTML = '';
+        const valid = points.filter(p => Number.isFinite(p.t) && Number.isFinite(p.v));
+        if (valid.length < 2) return;
+        const minT = valid[0].t;
+        const maxT = valid[valid.length - 1].t;
+        const maxV = Math.max(...valid.map(p => p.v), 1);
+        const x = (t) => ((t - minT) / Math.max(maxT - minT, 1)) * 600;
+        const y = (v) => 175 - (Math.max(v, 0) / maxV) * 165;
+        const line = valid.map((p, i) => `${i ? 'L' : 'M'}${x(p.t).toFixed(1)} ${y(p.v).toFixed(1)}`).join('');
+        svg.innerHTML = `
+            <path class="chart-area" d="${line}L600 180L0 180Z"></path>
+            <path class="chart-line" d="${line}"></path>
+            <title>${escapeHtml(label)}: max ${formatNumber(maxV)}</title>
+        `;
+        svg.previousElementSibling.dataset.max = `max ${formatNumber(maxV)}`;
+    };
+
+    const renderProfile = (route, source) => {
+        const points = route.map(p => ({ t: Date.parse(p.timestamp), alt: p.altitude, gs: p.groundSpeed }));
+        renderChart(altitudeChart, points.map(p => ({ t: p.t, v: p.alt })), 'Altitude (ft)');
+        renderChart(speedChart, points.map(p => ({ t: p.t, v: p.gs })), 'Ground speed (kt)');
+        chartNote.textContent = points.length > 1
+            ? `${points.length} points from ${source}, ${formatTime(route[0].timestamp)} to ${formatTime(route[route.length - 1].timestamp)}.`
+            : 'No route data yet.';
+    };
+
+    // --- Data ---
+
+    const loadPlan = async () => {
+        const ref = tracker.lastKnownFlight;
+        if (!ref?.flightId || planFlightId === ref.flightId) return;
+        try {
+            const data = await getJson(`/flights/${encodeURIComponent(ref.sessionId)}/${encodeURIComponent(ref.flightId)}/plan`);
+            planFlightId = ref.flightId;
+            renderRoute(data.plan);
+        } catch (error) {
+            // 404 until the pilot files a plan: try again on a later refresh.
+            if (error.status !== 404) console.error('Error fetching flight plan:', error);
+        }
+    };
+
+    // The IF route endpoint while the flight exists, the tracker's recorded trail after that.
+    const loadProfile = async () => {
+        const ref = tracker.lastKnownFlight;
+        if (!ref?.flightId || Date.now() - profileFetchedAt < PROFILE_REFRESH_MS) return;
+        profileFetchedAt = Date.now();
+        try {
+            const data = await getJson(`/flights/${encodeURIComponent(ref.sessionId)}/${encodeURIComponent(ref.flightId)}/route`);
+            renderProfile(data.route.map(p => ({ altitude: p.altitude, groundSpeed: p.groundSpeed, timestamp: p.date })), 'the Infinite Flight route');
+        } catch (error) {
+            try {
+                const trail = await getJson(`/track/${encodeURIComponent(trackerId)}/trail?maxPoints=1000`);
+                renderProfile(trail.points, 'the recorded trail');
+            } catch (trailError) {
+                console.error('Error fetching flight profile:', trailError);
+            }
+        }
+    };
+
+    const stopPolling = () => {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    };
+
+    // Resolves to false when the backend refused the API key (or the lack of one).
+    const loadTracker = async () => {
+        try {
+            const data = await getJson(`/track/${encodeURIComponent(trackerId)}`);
+            tracker = data.tracker;
+            errorMessage.textContent = '';
+            renderSummary();
+            renderLive();
+            renderTimeline();
+            loadPlan();
+            loadProfile();
+        } catch (error) {
+            errorMessage.textContent = error.message;
+            if (error.status === 401 || error.status === 403) {
+                stopPolling(); // retrying won't help until a key is entered
+                return false;
+            }
+        }
+        return true;
+    };
+
+    // Coalesces bursts of stream events (history + status + updated) into one reload.
+    const scheduleRefresh = () => {
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(loadTracker, 250);
+    };
+
+    exportsEl.addEventListener('click', async (e) => {
+        const link = e.target.closest('a[data-export]');
+        if (!link || !apiKey) return;
+        e.preventDefault();
+        try {
+            const token = await getLinkToken();
+            if (!token) throw new Error('Enter a valid API key on the dashboard to download exports.');
+            window.location.href = `${link.href}?token=${encodeURIComponent(token)}`;
+        } catch (error) {
+            errorMessage.textContent = error.message;
+        }
+    });
+
+    const connectStream = async () => {
+        if (!window.EventSource) {
+            pollTimer = setInterval(loadTracker, POLL_INTERVAL_MS);
+            return;
+        }
+        const params = new URLSearchParams({ id: trackerId });
+        const token = await getLinkToken().catch(() => null);
+        // No token: the key is missing or was refused. Only anonymous viewers can still open the
+        // stream; otherwise loadTracker() shows the API key prompt and nothing retries.
+        if (!token && !(await loadTracker())) return;
+        if (token) params.set('token', token);
+        const stream = new EventSource(`${API_BASE_URL}/track/stream?${params}`);
+        ['updated', 'status_change', 'history'].forEach(type => stream.addEventListener(type, scheduleRefresh));
+
+        // EventSource reconnects by itself; poll until it does.
+        stream.onopen = stopPolling;
+        stream.onerror = () => {
+            console.warn('Tracker stream interrupted, falling back to polling.');
+            if (!pollTimer) pollTimer = setInterval(loadTracker, POLL_INTERVAL_MS);
+            // A refused reconnect (the token expired) closes the stream for good: start over with a new token.
+            if (stream.readyState === EventSource.CLOSED) setTimeout(connectStream, POLL_INTERVAL_MS);
+        };
+    };
+
+    // --- Initial Load ---
+    if (!trackerId) {
+        errorMessage.textContent = 'No tracker id given.';
+        return;
+    }
+    loadTracker().then(allowed => {
+        if (allowed) connectStream();
+    });
+});
@@ -0,0 +1,80 @@
+// test/api-errors.test.cjs
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers.cjs');
+const { scenarios, PILOT } = require('./scenarios.cjs');
+
+let h;
+let trackerId;
+before(async () => {
+  h = await startHarness(scenarios.apiErrors, {
+    IF_RETRY_ATTEMPTS: '3',
+    IF_BREAKER_THRESHOLD: '2',
+    IF_BREAKER_COOLDOWN_MS: '60000',
+  });
+});
+after(() => h.stop());
+
+const health = async () => (await h.request('GET', '/health')).body.ifApi.circuitBreaker;
+
+test('retries EndpointError (errorCode 3) and keeps the tracker searching', async () => {
+  const [started] = await h.startTracking({ username: PILOT.username, userId: PILOT.userId });
+  trackerId = started.id;
+
+  await h.playStep(0);
+
+  const calls = h.mock.requestsTo('flights', 0);
+  assert.ok(calls.length >= 3);
+  assert.equal(calls.length % 3, 0, 'each poll makes IF_RETRY_ATTEMPTS tries');
+  assert.ok(calls.every(r => r.errorCode === 3));
+  assert.equal((await h.getTracker(trackerId)).status, 'searching');
+});
+
+test('recovers on the next healthy poll', async () => {
+  await h.playStep(1);
+  assert.equal((await h.getTracker(trackerId)).status, 'tracking');
+});
+
+test('does not retry NotAuthorized (errorCode 4) and keeps the last state', async () => {
+  const before = await h.getTracker(trackerId);
+  await h.playStep(2);
+
+  const calls = h.mock.requestsTo('flights', 2);
+  assert.ok(calls.length >= 1);
+  assert.equal(calls.length, h.mock.requestsTo('sessions', 2).length, 'one try per poll');
+  const t = await h.getTracker(trackerId);
+  assert.equal(t.status, 'tracking');
+  assert.equal(t.lastSeenAt, before.lastSeenAt);
+});
+
+test('opens the circuit breaker on repeated 503s and skips polls while open', async () => {
+  await h.playStep(3);
+  assert.equal((await health()).state, 'open');
+
+  await h.playStep(4);
+  assert.equal(h.mock.requests.filter(r => r.step === 4).length, 0);
+});
+
+test('closes the breaker after the cooldown and resumes tracking', async () => {
+  await h.playStep(5);
+
+  assert.equal((await health()).state, 'closed');
+  const t = await h.getTracker(trackerId);
+  assert.equal(t.status, 'tracking');
+  assert.equal(t.flight.position.alt_ft, 20000);
+});
+
+test('holds the breaker open for a Retry-After longer than IF_RETRY_MAX_MS instead of retrying early', async () => {
+  await h.playStep(6);
+  assert.equal(h.mock.requestsTo('flights', 6).length, 1);
+  const held = await health();
+  assert.equal(held.state, 'open');
+  assert.ok(Date.parse(held.retryAt) - h.clock.now() > 60000);
+
+  await h.playStep(7, 60000);
+  assert.equal(h.mock.requests.filter(r => r.step === 7).length, 0);
+
+  await h.playStep(8);
+  assert.equal((await health()).state, 'closed');
+  assert.equal((await h.getTracker(trackerId)).flight.position.alt_ft, 3000);
+});
@@ -0,0 +1,47 @@
+// test/atc-watch.test.cjs
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers.cjs');
+const { scenarios } = require('./scenarios.cjs');
+
+let h;
+let watch;
+before(async () => { h = await startHarness(scenarios.atcWatch); });
+after(() => h.stop());
+
+test('watches an ICAO and scans it right away', async () => {
+  const { status, body } = await h.request('POST', '/atc/watchlist', { icao: 'klax', callbackUrl: h.callbackUrl });
+  assert.equal(status, 201);
+  watch = body.watch;
+  assert.equal(watch.icao, 'KLAX');
+  assert.equal(watch.server, 'Expert Server');
+
+  const scanned = await h.waitUntil(async () => {
+    const { body: list } = await h.request('GET', '/atc/watchlist');
+    return list.watches.find(w => w.id === watch.id && w.lastScanAt);
+  }, { what: 'the first ATC scan' });
+  assert.deepEqual(scanned.open, []);
+});
+
+test('sends atc_open when a facility opens at the watched airport', async () => {
+  await h.playStep(1);
+  const opened = await h.waitForCallback(c => c.reason === 'atc_open');
+  assert.equal(opened.watchId, watch.id);
+  assert.equal(opened.facility.icao, 'KLAX');
+  assert.equal(opened.facility.typeName, 'Tower');
+  assert.equal(opened.initial, false);
+  assert.ok(!h.mock.callbacks.some(c => c.facility?.icao === 'KSFO'));
+});
+
+test('sends atc_close and records the session in the history', async () => {
+  await h.playStep(2);
+  const closed = await h.waitForCallback(c => c.reason === 'atc_close');
+  assert.equal(closed.facility.frequencyId, 'freq-KLAX-1');
+  assert.ok(closed.facility.endTime);
+
+  const { body } = await h.request('GET', '/atc/history?icao=KLAX');
+  assert.equal(body.count, 1);
+  assert.equal(body.history[0].username, 'TestController');
+  assert.equal(body.history[0].endTime, closed.facility.endTime);
+  assert.equal((await h.request('GET', '/deliveries/dead-letter')).body.count, 0);
+});
@@ -0,0 +1,51 @@
+// test/auth.test.cjs
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers.cjs');
+const { scenarios, PILOT } = require('./scenarios.cjs');
+
+let h;
+let trackerId;
+let viewer;
+const get = async (urlPath, headers = {}) => (await fetch(`${h.baseUrl}${urlPath}`, { headers })).status;
+
+before(async () => {
+  h = await startHarness(scenarios.timeout);
+  [{ id: trackerId }] = await h.startTracking({ username: PILOT.username });
+  const issued = await h.request('POST', '/auth/keys', { name: 'wallboard', role: 'viewer' });
+  viewer = { key: issued.body.key, id: issued.body.apiKey.id };
+});
+after(() => h.stop());
+
+test('only takes keys from the query string on stream and export routes, and only viewer keys', async () => {
+  const exportPath = `/track/${trackerId}/trail.csv`; // 404 until the pilot has been found, but past auth
+  assert.equal(await get(`/track/${trackerId}?api_key=${h.adminKey}`), 401);
+  assert.equal(await get(`/auth/keys?api_key=${h.adminKey}`), 401);
+  assert.equal(await get(`${exportPath}?api_key=${h.adminKey}`), 401);
+  assert.equal(await get(`${exportPath}?api_key=${viewer.key}`), 404);
+  assert.equal(await get(`/track/${trackerId}?api_key=${viewer.key}`), 401);
+});
+
+test('link tokens open exports as a viewer until they expire', async () => {
+  const { status, body } = await h.request('POST', '/auth/link-token');
+  assert.equal(status, 200);
+  const exportPath = `/track/${trackerId}/trail.csv`;
+  assert.equal(await get(`${exportPath}?token=${body.token}`), 404);
+  assert.equal(await get(`/metrics?token=${body.token}`), 401);
+  assert.equal(await get(`${exportPath}?token=${body.token.replace(/.$/, c => (c === 'A' ? 'B' : 'A'))}`), 401);
+  // Same character count as a real signature, more bytes.
+  assert.equal(await get(`${exportPath}?token=${encodeURIComponent(body.token.replace(/.$/, 'é'))}`), 401);
+
+  await h.clock.advance(5 * 60 * 1000 + 1);
+  assert.equal(await get(`${exportPath}?token=${body.token}`), 401);
+});
+
+test('link tokens stop working when their key is revoked', async () => {
+  const issued = await fetch(`${h.baseUrl}/auth/link-token`, { method: 'POST', headers: { Authorization: `Bearer ${viewer.key}` } });
+  const { token } = await issued.json();
+  const exportPath = `/track/${trackerId}/trail.csv`;
+  assert.equal(await get(`${exportPath}?token=${token}`), 404);
+
+  await h.request('POST', `/auth/keys/${viewer.id}/revoke`);
+  assert.equal(await get(`${exportPath}?token=${token}`), 401);
+});
@@ -0,0 +1,62 @@
+// test/geofences.test.cjs
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers.cjs');
+const { scenarios, PILOT } = require('./scenarios.cjs');
+
+let h;
+let trackerId;
+let airportFence;
+let climbFence;
+before(async () => { h = await startHarness(scenarios.takeoff); });
+after(() => h.stop());
+
+test('creates a circle around an airport and a polygon', async () => {
+  const circle = await h.request('POST', '/geofences', { name: 'KSFO 5 km', type: 'circle', icao: 'KSFO', radiusKm: 5 });
+  assert.equal(circle.status, 201);
+  assert.deepEqual(circle.body.geofence.center, { lat: 37.619, lon: -122.375 });
+  airportFence = circle.body.geofence;
+
+  // Around the climb-out position, clear of the airport.
+  const polygon = await h.request('POST', '/geofences', {
+    name: 'Climb-out box',
+    type: 'polygon',
+    points: [[37.65, -122.48], [37.65, -122.46], [37.67, -122.46], [37.67, -122.48]],
+  });
+  assert.equal(polygon.status, 201);
+  climbFence = polygon.body.geofence;
+
+  assert.equal((await h.request('POST', '/geofences', { name: 'nowhere', type: 'circle', icao: 'ZZZZ', radiusKm: 5 })).status, 400);
+});
+
+test('records the initial enter, the exit and a later enter as the flight climbs out', async () => {
+  const [started] = await h.startTracking({ username: PILOT.username, callbackUrl: h.callbackUrl });
+  trackerId = started.id;
+  await h.playAll();
+
+  const t = await h.getTracker(trackerId);
+  const crossings = t.history
+    .filter(e => e.event.startsWith('geofence_'))
+    .map(e => [e.event, e.geofenceName, !!e.initial]);
+  assert.deepEqual(crossings, [
+    ['geofence_enter', 'KSFO 5 km', true],
+    ['geofence_exit', 'KSFO 5 km', false],
+    ['geofence_enter', 'Climb-out box', false],
+  ]);
+  assert.deepEqual(t.geofences.map(g => g.name), ['Climb-out box']);
+});
+
+test('sends a callback for each crossing', async () => {
+  const exit = await h.waitForCallback(c => c.reason === 'geofence_exit');
+  assert.equal(exit.geofence.id, airportFence.id);
+  assert.equal(exit.geofence.icao, 'KSFO');
+  const enter = await h.waitForCallback(c => c.reason === 'geofence_enter' && c.geofence.id === climbFence.id);
+  assert.equal(enter.initial, false);
+  assert.equal(enter.flight.username, PILOT.username);
+});
+
+test('lists the trackers inside a geofence', async () => {
+  const inside = (await h.request('GET', `/geofences/${climbFence.id}`)).body.inside;
+  assert.deepEqual(inside.map(i => i.trackerId), [trackerId]);
+  assert.deepEqual((await h.request('GET', `/geofences/${airportFence.id}`)).body.inside, []);
+});
@@ -0,0 +1,198 @@
+// test/helpers.cjs
+
+/* =========================
+ * Test harness
+ * =========================
+ * Runs the real tracker engine (live_flights.cjs) against the mock Live API on a fake
+ * clock. The engine reads its config once when required, so each test file starts one
+ * harness; node --test runs every file in its own process.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockApi } = require('./mock-if-api.cjs');
+
+const START_MS = Date.parse('2026-03-01T12:00:00Z');
+const POLL_MS = 30000;
+const ADMIN_KEY = 'test-admin-key';
+
+/**
+ * Stands in for the engine's clock. Intervals only fire from advance(), in time order, and
+ * each callback is awaited before the next one so a poll finishes before time moves on.
+ */
+class FakeClock {
+  constructor(startMs) {
+    this.ms = startMs;
+    this.timers = new Map(); // id -> { fn, everyMs, dueAt }
+    this.nextId = 1;
+  }
+
+  now() {
+    return this.ms;
+  }
+
+  setInterval(fn, everyMs) {
+    const id = this.nextId++;
+    everyMs = Math.max(1, everyMs || 0); // like setInterval, 0 means as soon as possible
+    this.timers.set(id, { fn, everyMs, dueAt: this.ms + everyMs });
+    return id;
+  }
+
+  clearInterval(id) {
+    this.timers.delete(id);
+  }
+
+  async advance(ms) {
+    const target = this.ms + ms;
+    for (;;) {
+      let next = null;
+      for (const timer of this.timers.values()) {
+        if (timer.dueAt <= target && (!next || timer.dueAt < next.dueAt)) next = timer;
+      }
+      if (!next) break;
+      this.ms = next.dueAt;
+      next.dueAt += next.everyMs;
+      await next.fn();
+    }
+    this.ms = target;
+  }
+
+  // The shape live_flights.cjs expects in setClock().
+  bindings() {
+    return {
+      now: () => this.now(),
+      setInterval: (fn, ms) => this.setInterval(fn, ms),
+      clearInterval: (id) => this.clearInterval(id),
+    };
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Starts the mock API for `buildScenario`, then the engine pointed at it. `env` overrides
+ * the test defaults. Resolves to the harness used by the test files.
+ */
+async function startHarness(buildScenario, env = {}) {
+  const scenario = buildScenario({ start: START_MS, stepMs: POLL_MS });
+  const mock = await createMockApi(scenario);
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'acars-test-'));
+  // Removed on exit rather than in stop(): a webhook finishing late may still save the store.
+  process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const fixture = (name) => path.join(__dirname, 'fixtures', name);
+
+  Object.assign(process.env, {
+    IF_API_BASE_URL: mock.url,
+    INFINITE_FLIGHT_API_KEY: 'test-if-key',
+    ACARS_ADMIN_KEY: ADMIN_KEY,
+    AUTH_ANONYMOUS_ROLE: 'none',
+    DEFAULT_IF_SERVER: 'Expert Server',
+    TRACK_CALLBACK_URL: '',
+    LOG_LEVEL: process.env.TEST_VERBOSE === '1' ? 'debug' : 'silent',
+    DOTENV_CONFIG_QUIET: 'true',
+    POLL_MS: String(POLL_MS),
+    APPROACH_POLL_MS: '5000',
+    IF_RETRY_BASE_MS: '1',
+    IF_RETRY_MAX_MS: '5',
+    IF_CACHE_TTL_SESSIONS_MS: '0',
+    IF_CACHE_TTL_FLIGHTS_MS: '0',
+    IF_CACHE_TTL_ATC_MS: '0',
+    IF_CACHE_TTL_NOTAMS_MS: '0',
+    ATC_SCAN_MS: '30000', // defaults to the ATC cache TTL, which is 0 here
+    WEBHOOK_BACKOFF_BASE_MS: '1000',
+    TRACKER_SAVE_DEBOUNCE_MS: '10',
+    AIRPORTS_FILE: fixture('airports.json'),
+    RUNWAYS_FILE: fixture('runways.json'),
+    TRACKER_STORE_FILE: path.join(dataDir, 'trackers.json'),
+    API_KEYS_FILE: path.join(dataDir, 'api-keys.json'),
+    VA_RULES_FILE: path.join(dataDir, 'va-rules.json'),
+    RULES_PROFILES_FILE: path.join(dataDir, 'rules-profiles.json'),
+    GEOFENCES_FILE: path.join(dataDir, 'geofences.json'),
+    ATC_WATCHLIST_FILE: path.join(dataDir, 'atc-watchlist.json'),
+    IF_USERS_FILE: '',
+  }, env);
+
+  // The engine logs to stdout, which node --test also uses to talk to the runner. Keep it
+  // quiet unless TEST_VERBOSE=1 (LOG_LEVEL above, and anything printed around the logger).
+  if (process.env.TEST_VERBOSE !== '1') {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+
+  const engine = require('../live_flights.cjs');
+  const clock = new FakeClock(START_MS);
+  engine.setClock(clock.bindings());
+  const server = await engine.start({ port: 0, handleSignals: false });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, urlPath, body) => {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: { Authorization: `Bearer ${ADMIN_KEY}`, 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: response.status, body: await response.json().catch(() => null) };
+  };
+
+  return {
+    mock,
+    clock,
+    engine,
+    request,
+    baseUrl,
+    adminKey: ADMIN_KEY,
+    callbackUrl: `${mock.url}/_callbacks`,
+
+    async startTracking(body) {
+      const { status, body: data } = await request('POST', '/track/start', body);
+      if (status !== 200) throw new Error(`/track/start returned ${status}: ${JSON.stringify(data)}`);
+      return data.trackers;
+    },
+
+    async getTracker(id) {
+      return (await request('GET', `/track/${id}`)).body.tracker;
+    },
+
+    // Serves step `index` and lets one poll interval of engine time pass.
+    async playStep(index, ms = POLL_MS) {
+      mock.setStep(index);
+      await clock.advance(ms);
+    },
+
+    async playAll() {
+      for (let i = 0; i < scenario.steps.length; i++) await this.playStep(i);
+    },
+
+    // Polls `check` in real time until it resolves to something truthy, for work the engine
+    // finishes off the fake clock (webhook deliveries, the scan a new ATC watch starts).
+    async waitUntil(check, { timeoutMs = 2000, what = 'condition' } = {}) {
+      const deadline = Date.now() + timeoutMs;
+      for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error(`timed out waiting for ${what}`);
+        await sleep(10);
+      }
+    },
+
+    // Webhooks go out over real HTTP; wait (in real time) until one matches.
+    async waitForCallback(predicate, timeoutMs = 2000) {
+      const deadline = Date.now() + timeoutMs;
+      for (;;) {
+        const found = mock.callbacks.find(predicate);
+        if (found) return found;
+        if (Date.now() > deadline) {
+          throw new Error(`no matching callback; got reasons: ${mock.callbacks.map(c => c.reason || '(start)').join(', ')}`);
+        }
+        await sleep(10);
+      }
+    },
+
+    async stop() {
+      await engine.stop();
+      await mock.close();
+    },
+  };
+}
+
+module.exports = { FakeClock, startHarness, START_MS, POLL_MS };
@@ -0,0 +1,34 @@
+// test/identity.test.cjs
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers.cjs');
+const { scenarios, PILOT } = require('./scenarios.cjs');
+
+let h;
+before(async () => { h = await startHarness(scenarios.takeoff); });
+after(() => h.stop());
+
+test('stops the newer of two trackers for one pilot once the username resolves', async () => {
+  const [byName] = await h.startTracking({ username: PILOT.username, callbackUrl: h.callbackUrl });
+  const [byId] = await h.startTracking({ userId: PILOT.userId, callbackUrl: h.callbackUrl });
+  assert.notEqual(byId.id, byName.id, 'neither identifier is known to the other tracker yet');
+
+  await h.playStep(0);
+
+  const original = await h.getTracker(byName.id);
+  assert.equal(original.status, 'tracking');
+  assert.equal(original.userId, PILOT.userId);
+  const duplicate = await h.getTracker(byId.id);
+  assert.equal(duplicate.status, 'stopped');
+  assert.equal(duplicate.history.at(-1).duplicateOf, byName.id);
+  const stopped = await h.waitForCallback(c => c.reason === 'duplicate_tracker');
+  assert.equal(stopped.trackerId, byId.id);
+});
+
+test('returns the existing tracker for either identifier after that', async () => {
+  const [again] = await h.startTracking({ userId: PILOT.userId });
+  const [sameName] = await h.startTracking({ username: PILOT.username.toLowerCase() });
+  const { body } = await h.request('GET', '/track/active');
+  assert.deepEqual(body.trackers.map(t => t.id), [again.id]);
+  assert.equal(sameName.id, again.id);
+});
@@ -0,0 +1,21 @@
+// test/landing-without-route.test.cjs
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers.cjs');
+const { scenarios, PILOT } = require('./scenarios.cjs');
+
+let h;
+before(async () => { h = await startHarness(scenarios.landingWithoutRoute); });
+after(() => h.stop());
+
+test('falls back to the breadcrumb trail when the route endpoint returns FlightNotFound', async () => {
+  const [started] = await h.startTracking({ username: PILOT.username });
+
+  await h.playAll();
+
+  const last = h.mock.scenario.steps.length - 1;
+  assert.ok(h.mock.requestsTo('route', last).every(r => r.errorCode === 6));
+  const t = await h.getTracker(started.id);
+  assert.equal(t.status, 'landed');
+  assert.equal(t.history.find(e => e.event === 'landed').airport, 'KLAX');
+});
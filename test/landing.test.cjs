@@ -0,0 +1,37 @@
+// test/landing.test.cjs
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers.cjs');
+const { scenarios, PILOT } = require('./scenarios.cjs');
+
+let h;
+before(async () => { h = await startHarness(scenarios.landing); });
+after(() => h.stop());
+
+test('detects the approach and the landing once the flight leaves the session', async () => {
+  const [started] = await h.startTracking({ username: PILOT.username, callbackUrl: h.callbackUrl });
+
+  await h.playAll();
+
+  const t = await h.getTracker(started.id);
+  assert.equal(t.status, 'landed');
+  assert.equal(t.phase, 'landed');
+  assert.equal(t.arrivalOutcome.classification, 'arrived');
+  assert.equal(t.runways.arrival.runway, '25L');
+  const landed = t.history.find(e => e.event === 'landed');
+  assert.equal(landed.airport, 'KLAX');
+  assert.ok(t.history.some(e => e.event === 'phase' && e.phase === 'approach'));
+});
+
+test('sends the landed callback with the arrival airport and PIREP', async () => {
+  const landed = await h.waitForCallback(c => c.reason === 'flight_landed');
+  assert.equal(landed.airport.icao, 'KLAX');
+  assert.equal(landed.arrivalOutcome.classification, 'arrived');
+  assert.ok(landed.pirep);
+});
+
+test('stops polling a landed tracker', async () => {
+  const before = h.mock.requestsTo('flights').length;
+  await h.clock.advance(10 * 60 * 1000);
+  assert.equal(h.mock.requestsTo('flights').length, before);
+});
@@ -0,0 +1,51 @@
+// test/logs.test.cjs
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers.cjs');
+const { scenarios, PILOT, SESSION_ID, FLIGHT_ID } = require('./scenarios.cjs');
+
+let h;
+let trackerId;
+before(async () => { h = await startHarness(scenarios.midAirDisconnect); });
+after(() => h.stop());
+
+test('keeps the landing check that failed when the flight vanished at cruise', async () => {
+  const [started] = await h.startTracking({ username: PILOT.username });
+  trackerId = started.id;
+
+  await h.playStep(0);
+  await h.playStep(1);
+  await h.playStep(2);
+
+  const { status, body } = await h.request('GET', `/track/${trackerId}/logs`);
+  assert.equal(status, 200);
+  assert.equal(body.trackerId, trackerId);
+  assert.equal(body.count, body.logs.length);
+
+  const check = body.logs.find(entry => entry.msg === 'landing check failed');
+  assert.ok(check, `no landing check in: ${body.logs.map(entry => entry.msg).join(', ')}`);
+  assert.equal(check.level, 'info');
+  assert.equal(check.trackerId, trackerId);
+  assert.equal(check.userId, PILOT.userId);
+  assert.equal(check.sessionId, SESSION_ID);
+  assert.equal(check.flightId, FLIGHT_ID);
+  assert.equal(check.isLowAndSlow, false);
+  assert.ok(check.aglFt > 30000);
+  assert.equal(check.routeSource, 'if_route');
+  assert.ok(body.logs.some(entry => entry.msg === 'pilot offline mid-flight'));
+});
+
+test('filters by level and limit', async () => {
+  const all = (await h.request('GET', `/track/${trackerId}/logs`)).body.logs;
+  assert.ok(all.some(entry => entry.level === 'debug'));
+
+  const { body } = await h.request('GET', `/track/${trackerId}/logs?level=info&limit=2`);
+  assert.equal(body.count, 2);
+  assert.ok(body.logs.every(entry => entry.level !== 'debug'));
+  assert.deepEqual(body.logs, all.filter(entry => entry.level !== 'debug').slice(-2));
+});
+
+test('rejects unknown levels and trackers', async () => {
+  assert.equal((await h.request('GET', `/track/${trackerId}/logs?level=loud`)).status, 400);
+  assert.equal((await h.request('GET', '/track/nope/logs')).status, 404);
+});
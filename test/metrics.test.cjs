@@ -0,0 +1,59 @@
+// test/metrics.test.cjs
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers.cjs');
+const { scenarios, PILOT } = require('./scenarios.cjs');
+
+let h;
+before(async () => { h = await startHarness(scenarios.apiErrors); });
+after(() => h.stop());
+
+const scrape = async () => {
+  const response = await fetch(`${h.baseUrl}/metrics`, { headers: { Authorization: `Bearer ${h.adminKey}` } });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/plain/);
+  return response.text();
+};
+
+// Value of one sample line, e.g. sample(text, 'acars_trackers{status="tracking"}').
+const sample = (text, series) => {
+  const line = text.split('\n').find(l => l.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : undefined;
+};
+
+test('requires an API key', async () => {
+  const response = await fetch(`${h.baseUrl}/metrics`);
+  assert.equal(response.status, 401);
+});
+
+test('exports tracker, poll, Live API, callback and dataset metrics', async () => {
+  await h.startTracking({ username: PILOT.username, userId: PILOT.userId, callbackUrl: h.callbackUrl });
+  await h.playStep(0);
+  await h.playStep(1);
+  await h.waitForCallback(c => c.reason === 'user_online');
+
+  const text = await scrape();
+  assert.equal(sample(text, 'acars_trackers{status="tracking"}'), 1);
+  assert.equal(sample(text, 'acars_trackers{status="landed"}'), 0);
+  assert.equal(sample(text, 'acars_airports'), 3);
+  assert.equal(sample(text, 'acars_poll_overlaps_total'), 0);
+  assert.ok(sample(text, 'acars_poll_duration_seconds_count') > 0);
+  assert.ok(sample(text, 'acars_poll_last_completed_timestamp_seconds') > 0);
+  assert.ok(sample(text, 'acars_if_requests_total{endpoint="flights",status="200",error_code="3"}') >= 3);
+  assert.ok(sample(text, 'acars_if_requests_total{endpoint="flights",status="200",error_code="0"}') >= 1);
+  assert.ok(sample(text, 'acars_if_request_duration_seconds_count{endpoint="sessions"}') > 0);
+  assert.equal(sample(text, 'acars_if_circuit_breaker_state{state="closed"}'), 1);
+  assert.ok(sample(text, 'acars_callbacks_total{event="user_online",result="success"}') >= 1);
+  assert.match(text, /# TYPE acars_if_request_duration_seconds histogram/);
+});
+
+test('counts failed Live API requests and reports the open breaker', async () => {
+  await h.playStep(2);
+  await h.playStep(3);
+  await h.playStep(4);
+
+  const text = await scrape();
+  assert.ok(sample(text, 'acars_if_requests_total{endpoint="flights",status="200",error_code="4"}') >= 1);
+  assert.ok(sample(text, 'acars_if_requests_total{endpoint="sessions",status="503",error_code=""}') >= 3);
+  assert.equal(sample(text, 'acars_if_circuit_breaker_state{state="open"}'), 1);
+});
@@ -0,0 +1,54 @@
+// test/mid-air-disconnect.test.cjs
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, POLL_MS } = require('./helpers.cjs');
+const { scenarios, PILOT, RECONNECT_FLIGHT_ID } = require('./scenarios.cjs');
+
+let h;
+let trackerId;
+before(async () => { h = await startHarness(scenarios.midAirDisconnect); });
+after(() => h.stop());
+
+test('marks the pilot offline, not landed, when the flight vanishes at cruise', async () => {
+  const [started] = await h.startTracking({ username: PILOT.username, callbackUrl: h.callbackUrl });
+  trackerId = started.id;
+
+  await h.playStep(0);
+  await h.playStep(1);
+  await h.playStep(2);
+
+  const t = await h.getTracker(trackerId);
+  assert.equal(t.status, 'searching');
+  assert.equal(t.phase, null);
+  assert.ok(t.history.some(e => e.event === 'offline'));
+  assert.ok(!t.history.some(e => e.event === 'landed'));
+  await h.waitForCallback(c => c.reason === 'user_offline');
+});
+
+test('backs off while the pilot is missing', async () => {
+  await h.playStep(3);
+  assert.equal(h.mock.requestsTo('flights', 3).length, 0);
+});
+
+test('picks the pilot up again on the new flight', async () => {
+  // Two minutes of backoff after the disconnect.
+  await h.playStep(4, 3 * POLL_MS);
+
+  const t = await h.getTracker(trackerId);
+  assert.equal(t.status, 'tracking');
+  assert.equal(t.lastKnownFlight.flightId, RECONNECT_FLIGHT_ID);
+  assert.equal(t.history.filter(e => e.event === 'online').length, 2);
+  const online = await h.waitForCallback(c => c.reason === 'user_online' && c.flight.flightId === RECONNECT_FLIGHT_ID);
+  assert.equal(online.userId, PILOT.userId);
+});
+
+test('times the landed flight from the rejoin in both the callback and the PIREP', async () => {
+  for (let i = 5; i < h.mock.scenario.steps.length; i++) await h.playStep(i);
+
+  const t = await h.getTracker(trackerId);
+  assert.equal(t.status, 'landed');
+  const rejoinedAt = t.history.filter(e => e.event === 'online')[1].timestamp;
+  const landed = await h.waitForCallback(c => c.reason === 'flight_landed');
+  assert.equal(landed.pirep.blockOffAt, rejoinedAt);
+  assert.equal(landed.flightDurationMs, landed.pirep.blockTimeMs);
+});
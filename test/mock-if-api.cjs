@@ -0,0 +1,216 @@
+// test/mock-if-api.cjs
+
+/* =========================
+ * Mock Infinite Flight Live API
+ * =========================
+ * Serves the Live API endpoints the tracker uses (/sessions, /sessions/:id/flights,
+ * .../flightplan, .../route, /atc, /notams and POST /users) from a scripted scenario.
+ * A scenario is a list of steps; each step is the state of the world at one poll:
+ *
+ *   { flights: [...], plans: { flightId: plan }, atc: [...], notams: [...],
+ *     errors: { flights: { errorCode: 3 } | { status: 503 }, callbacks: { status: 500 } } }
+ *
+ * /route is built from the positions a flight had in every step so far, unless the step
+ * gives `routes` explicitly. Requests and webhook deliveries to /_callbacks are recorded;
+ * `errors.callbacks` makes the webhook sink answer with that status instead.
+ *
+ * Run it on its own to point a local server at a scenario:
+ *   node test/mock-if-api.cjs landing --port 5200 --step-ms 30000
+ *   IF_API_BASE_URL=http://localhost:5200 node live_flights.cjs
+ */
+const express = require('express');
+const { scenarios } = require('./scenarios.cjs');
+
+function ok(result) {
+  return { errorCode: 0, result };
+}
+
+function toRoutePoint(f) {
+  return {
+    latitude: f.latitude,
+    longitude: f.longitude,
+    altitude: f.altitude,
+    groundSpeed: f.speed,
+    track: f.track,
+    date: f.lastReport,
+  };
+}
+
+/**
+ * Creates a mock API for `scenario`. Resolves once listening, with
+ * { url, requests, callbacks, rejectedCallbacks, setStep, advance, close }.
+ */
+function createMockApi(scenario, { port = 0 } = {}) {
+  const state = {
+    stepIndex: 0,
+    requests: [],  // { method, path, endpoint, status, errorCode, step }
+    callbacks: [], // webhook bodies, in arrival order
+    rejectedCallbacks: [], // webhook bodies answered with a scripted error
+  };
+  const step = () => scenario.steps[state.stepIndex] || {};
+
+  const app = express();
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    if (req.path.startsWith('/_')) return next();
+    const entry = { method: req.method, path: req.path, endpoint: null, status: 200, errorCode: 0, step: state.stepIndex };
+    state.requests.push(entry);
+    res.on('finish', () => { entry.status = res.statusCode; });
+    next();
+  });
+
+  // Scripted failures for the current step: an HTTP status or an IF errorCode payload.
+  const scripted = (endpoint) => (req, res, next) => {
+    const entry = state.requests[state.requests.length - 1];
+    if (entry) entry.endpoint = endpoint;
+    const failure = step().errors?.[endpoint];
+    if (!failure) return next();
+    if (failure.status) {
+      if (failure.retryAfter != null) res.set('Retry-After', String(failure.retryAfter));
+      return res.status(failure.status).json({ message: `scripted ${failure.status}` });
+    }
+    if (entry) entry.errorCode = failure.errorCode;
+    res.json({ errorCode: failure.errorCode, result: null });
+  };
+
+  const sessionExists = (req) => scenario.sessions.some(s => s.id === req.params.sessionId);
+
+  const findFlight = (req) => (step().flights || []).find(f => f.flightId === req.params.flightId);
+
+  app.get('/sessions', scripted('sessions'), (req, res) => {
+    res.json(ok(scenario.sessions));
+  });
+
+  app.get('/sessions/:sessionId/flights', scripted('flights'), (req, res) => {
+    if (!sessionExists(req)) return res.json({ errorCode: 5, result: null });
+    res.json(ok(step().flights || []));
+  });
+
+  app.get('/sessions/:sessionId/flights/:flightId/flightplan', scripted('flightplan'), (req, res) => {
+    const plan = step().plans?.[req.params.flightId] || scenario.plans?.[req.params.flightId];
+    if (!plan || !findFlight(req)) return res.json({ errorCode: 6, result: null });
+    res.json(ok(plan));
+  });
+
+  app.get('/sessions/:sessionId/flights/:flightId/route', scripted('route'), (req, res) => {
+    const { flightId } = req.params;
+    if (step().routes?.[flightId]) return res.json(ok(step().routes[flightId]));
+    const points = scenario.steps
+      .slice(0, state.stepIndex + 1)
+      .flatMap(s => (s.flights || []).filter(f => f.flightId === flightId))
+      .map(toRoutePoint);
+    if (!points.length) return res.json({ errorCode: 6, result: null });
+    res.json(ok(points));
+  });
+
+  app.get('/sessions/:sessionId/atc', scripted('atc'), (req, res) => {
+    res.json(ok(step().atc || []));
+  });
+
+  app.get('/sessions/:sessionId/notams', scripted('notams'), (req, res) => {
+    res.json(ok(step().notams || []));
+  });
+
+  app.post('/users', scripted('users'), (req, res) => {
+    const names = new Set((req.body?.discourseNames || []).map(n => String(n).toLowerCase()));
+    const ids = new Set(req.body?.userIds || []);
+    const users = (scenario.users || []).filter(u =>
+      ids.has(u.userId) || names.has(String(u.discourseUsername || '').toLowerCase()));
+    res.json(ok(users));
+  });
+
+  // Test hooks: webhook sink and manual step control.
+  app.post('/_callbacks', (req, res) => {
+    const failure = step().errors?.callbacks;
+    if (failure) {
+      state.rejectedCallbacks.push(req.body);
+      return res.status(failure.status).json({ message: `scripted ${failure.status}` });
+    }
+    state.callbacks.push(req.body);
+    res.json({ ok: true });
+  });
+
+  app.get('/_step', (req, res) => {
+    res.json({ scenario: scenario.name, step: state.stepIndex, steps: scenario.steps.length, note: step().note || null });
+  });
+
+  app.post('/_step', (req, res) => {
+    api.setStep(Number(req.body?.step));
+    res.json({ scenario: scenario.name, step: state.stepIndex });
+  });
+
+  app.use((req, res) => res.status(404).json({ message: 'Not Found' }));
+
+  const api = {
+    scenario,
+    requests: state.requests,
+    callbacks: state.callbacks,
+    rejectedCallbacks: state.rejectedCallbacks,
+    get step() { return state.stepIndex; },
+    setStep(index) {
+      if (!Number.isInteger(index) || index < 0 || index >= scenario.steps.length) {
+        throw new RangeError(`step ${index} is outside scenario "${scenario.name}" (0-${scenario.steps.length - 1})`);
+      }
+      state.stepIndex = index;
+    },
+    // Moves to the next step; stays on the last one. Returns false once the scenario is over.
+    advance() {
+      if (state.stepIndex >= scenario.steps.length - 1) return false;
+      state.stepIndex += 1;
+      return true;
+    },
+    // Requests the engine made to one endpoint (sessions, flights, route, ...), optionally in one step.
+    requestsTo(endpoint, stepIndex = null) {
+      return state.requests.filter(r => r.endpoint === endpoint && (stepIndex == null || r.step === stepIndex));
+    },
+    close: null,
+    url: null,
+  };
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      api.url = `http://127.0.0.1:${server.address().port}`;
+      api.close = () => new Promise(done => {
+        server.close(() => done());
+        if (server.closeAllConnections) server.closeAllConnections();
+      });
+      resolve(api);
+    });
+    server.on('error', reject);
+  });
+}
+
+module.exports = { createMockApi };
+
+/* =========================
+ * Standalone
+ * ========================= */
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 ? args[i + 1] : fallback;
+  };
+  const name = args[0] && !args[0].startsWith('--') ? args[0] : 'landing';
+  const build = scenarios[name];
+  if (typeof build !== 'function') {
+    console.error(`Unknown scenario "${name}". Available: ${Object.keys(scenarios).join(', ')}`);
+    process.exit(1);
+  }
+  const port = parseInt(option('port', '5200'), 10);
+  const stepMs = parseInt(option('step-ms', '30000'), 10);
+
+  createMockApi(build({ start: Date.now(), stepMs }), { port }).then(api => {
+    console.log(`✅ Mock IF API serving scenario "${name}" (${api.scenario.steps.length} steps) at ${api.url}`);
+    console.log(`🔁 Next step every ${stepMs}ms. POST /_step {"step":n} to jump.`);
+    const timer = setInterval(() => {
+      if (!api.advance()) {
+        console.log('🏁 Last step reached, holding.');
+        clearInterval(timer);
+        return;
+      }
+      console.log(`➡️  Step ${api.step}${api.scenario.steps[api.step].note ? `: ${api.scenario.steps[api.step].note}` : ''}`);
+    }, stepMs);
+  });
+}
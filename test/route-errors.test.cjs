@@ -0,0 +1,37 @@
+// test/route-errors.test.cjs
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers.cjs');
+const { scenarios, SESSION_ID, FLIGHT_ID } = require('./scenarios.cjs');
+
+// The Live API sends errorCodes with HTTP 200; the routes must not pass that 200 on.
+const STATUS_FOR_ERROR_CODE = { 1: 404, 2: 400, 3: 502, 4: 403, 5: 404, 6: 404, 7: 404 };
+
+const ROUTES = [
+  `/flights/${SESSION_ID}`,
+  `/flights/${SESSION_ID}/${FLIGHT_ID}/plan`,
+  `/flights/${SESSION_ID}/${FLIGHT_ID}/route`,
+  `/atc/${SESSION_ID}`,
+  `/notams/${SESSION_ID}`,
+];
+
+let h;
+before(async () => {
+  // Every failing step would otherwise trip the breaker long before the last one.
+  h = await startHarness(scenarios.routeErrors, { IF_BREAKER_THRESHOLD: '1000', IF_CACHE_STALE_MS: '0' });
+});
+after(() => h.stop());
+
+test('answers each Live API failure with a matching HTTP status', async () => {
+  for (const [index, step] of h.mock.scenario.steps.entries()) {
+    h.mock.setStep(index);
+    const failure = step.errors.flights;
+    const expected = failure.status || STATUS_FOR_ERROR_CODE[failure.errorCode];
+    for (const route of ROUTES) {
+      const { status, body } = await h.request('GET', route);
+      assert.equal(status, expected, `${route} with ${step.note}`);
+      assert.equal(body.ok, false, `${route} with ${step.note}`);
+      assert.equal(body.error.status, expected, `${route} with ${step.note}`);
+    }
+  }
+});
@@ -0,0 +1,79 @@
+// test/rules-profiles.test.cjs
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers.cjs');
+const { scenarios, PILOT } = require('./scenarios.cjs');
+
+let h;
+let profile;
+before(async () => { h = await startHarness(scenarios.landing); });
+after(() => h.stop());
+
+test('creates a profile for the pilot\'s aircraft and rejects bad ones', async () => {
+  const created = await h.request('POST', '/rules-profiles', {
+    name: 'strict',
+    aircraftIds: [PILOT.aircraftId],
+    rules: { landedSpeedKt: 10, searchBackoff: [{ pollMs: 60000 }] },
+  });
+  assert.equal(created.status, 201);
+  profile = created.body.profile;
+
+  const bad = [
+    { name: 'default' },
+    { name: 'Strict' },
+    { name: 'other', aircraftIds: [PILOT.aircraftId] },
+    { name: 'other', rules: { landedSpeedKt: -1 } },
+    { name: 'other', rules: { landedAltitude: 500 } },
+    { name: 'other', rules: { searchBackoff: [{ pollMs: 60000 }, { seenWithinMs: 1000, pollMs: 1000 }] } },
+  ];
+  for (const body of bad) {
+    assert.equal((await h.request('POST', '/rules-profiles', body)).status, 400, JSON.stringify(body));
+  }
+  assert.equal((await h.request('GET', '/rules-profiles')).body.count, 1);
+});
+
+test('uses the aircraft\'s profile once the flight is found', async () => {
+  const [started] = await h.startTracking({ username: PILOT.username });
+  assert.equal(started.rules.profile, 'default');
+
+  await h.playStep(0);
+  const t = await h.getTracker(started.id);
+  assert.equal(t.rules.profile, 'strict');
+  assert.equal(t.rules.source, 'aircraft');
+  assert.equal(t.rules.landedSpeedKt, 10);
+  assert.equal(t.rules.landedAglFt, 1000);
+});
+
+test('applies the profile to the landing check and the searching backoff', async () => {
+  const [{ id }] = await h.startTracking({ username: PILOT.username });
+  for (let i = 1; i < h.mock.scenario.steps.length; i++) await h.playStep(i);
+
+  // Rolled out at 25 kt, above the profile's 10 kt.
+  const t = await h.getTracker(id);
+  assert.equal(t.status, 'searching');
+  assert.equal(Date.parse(t.nextPollAt) - Date.parse(t.lastPolledAt), 60000);
+
+  const { logs } = (await h.request('GET', `/track/${id}/logs?level=info`)).body;
+  const check = logs.find(entry => entry.msg === 'landing check failed');
+  assert.equal(check.isLowAndSlow, false);
+  assert.deepEqual(check.rules, { profile: 'strict', source: 'aircraft', landedAglFt: 1000, landedSpeedKt: 10, landedProximityKm: 10 });
+});
+
+test('takes a profile name and inline overrides on /track/start', async () => {
+  const unknown = await h.request('POST', '/track/start', { username: 'SomeoneElse', rulesProfile: 'nope' });
+  assert.equal(unknown.status, 400);
+  const invalid = await h.request('POST', '/track/start', { username: 'SomeoneElse', rules: { searchTimeoutMs: 0 } });
+  assert.equal(invalid.status, 400);
+
+  const [t] = await h.startTracking({ username: 'SomeoneElse', rulesProfile: 'STRICT', rules: { searchTimeoutMs: 60 * 60 * 1000 } });
+  assert.equal(t.rules.profile, 'strict');
+  assert.equal(t.rules.source, 'request');
+  assert.deepEqual(t.rules.overrides, ['searchTimeoutMs']);
+  assert.equal(Date.parse(t.timeoutAt) - Date.parse(t.startedAt), 60 * 60 * 1000);
+});
+
+test('deletes a profile', async () => {
+  assert.equal((await h.request('DELETE', `/rules-profiles/${profile.id}`)).status, 200);
+  assert.equal((await h.request('GET', '/rules-profiles')).body.count, 0);
+  assert.equal((await h.request('DELETE', `/rules-profiles/${profile.id}`)).status, 404);
+});
@@ -0,0 +1,225 @@
+// test/scenarios.cjs
+
+/* =========================
+ * Scripted scenarios for the mock Live API
+ * =========================
+ * Each entry in `scenarios` builds a scenario for mock-if-api.cjs: `build({ start, stepMs })`.
+ * Step i reports its positions at start + i * stepMs, so the engine's clock and the
+ * flights' lastReport stay in step. The pilot flies KSFO -> KLAX; coordinates match the airport
+ * and runway fixtures in test/fixtures.
+ */
+const SESSION_ID = '7e5dcd44-1fb5-49cc-bc2c-a9aab1f6a856';
+
+const SESSIONS = [
+  { id: SESSION_ID, name: 'Expert Server', maxUsers: 3000, userCount: 1, type: 1, worldType: 2 },
+  { id: 'd01006e4-3114-473c-8f69-020b89d02884', name: 'Training Server', maxUsers: 3000, userCount: 0, type: 1, worldType: 1 },
+];
+
+const PILOT = {
+  userId: '2a11e620-1cc1-4ac6-90d1-0a2e0e4d9ab9',
+  username: 'TestPilot',
+  callsign: 'Test 123 Heavy',
+  aircraftId: 'de510d3d-04f8-46e0-8d65-55b888f33129',
+  liveryId: 'd1d7f9cc-3e41-4c4c-9e4f-3cb1a3d0a07b',
+};
+
+const FLIGHT_ID = 'b7a1c2d3-0000-4000-8000-000000000001';
+const RECONNECT_FLIGHT_ID = 'b7a1c2d3-0000-4000-8000-000000000002';
+
+const PLANS = {
+  [FLIGHT_ID]: {
+    flightPlanId: 'c0ffee00-0000-4000-8000-000000000001',
+    flightId: FLIGHT_ID,
+    waypoints: ['KSFO', 'KLAX'],
+    lastUpdate: '2026-03-01 11:55:00Z',
+    flightPlanItems: [
+      { name: 'KSFO', type: 5, children: null, identifier: 'KSFO', altitude: 0, location: { latitude: 37.619, longitude: -122.375, altitude: 0 } },
+      { name: 'KLAX', type: 5, children: null, identifier: 'KLAX', altitude: 0, location: { latitude: 33.9425, longitude: -118.408, altitude: 0 } },
+    ],
+  },
+};
+
+// Positions along the flight. alt ft MSL, gs kt, vs fpm, trk degrees true.
+const AT = {
+  gateKsfo: { lat: 37.6155, lon: -122.3855, alt: 13, gs: 0, vs: 0, trk: 298 },
+  rollKsfo: { lat: 37.6150, lon: -122.3610, alt: 13, gs: 140, vs: 0, trk: 298 },
+  liftoff: { lat: 37.6300, lon: -122.3950, alt: 900, gs: 170, vs: 2200, trk: 298 },
+  climb: { lat: 37.6600, lon: -122.4700, alt: 6000, gs: 250, vs: 2500, trk: 200 },
+  cruise1: { lat: 36.4000, lon: -121.2000, alt: 35000, gs: 480, vs: 0, trk: 135 },
+  cruise2: { lat: 35.5000, lon: -120.5000, alt: 35000, gs: 480, vs: 0, trk: 135 },
+  descent: { lat: 34.5000, lon: -119.5000, alt: 20000, gs: 380, vs: -2000, trk: 120 },
+  approach: { lat: 33.9550, lon: -118.2500, alt: 3000, gs: 180, vs: -800, trk: 263 },
+  final: { lat: 33.9480, lon: -118.3400, alt: 600, gs: 150, vs: -700, trk: 263 },
+  touchdown: { lat: 33.9462, lon: -118.3720, alt: 125, gs: 130, vs: 0, trk: 263 },
+  rollout: { lat: 33.9450, lon: -118.3900, alt: 125, gs: 25, vs: 0, trk: 263 },
+};
+
+/**
+ * A /sessions/:id/flights entry for the test pilot.
+ */
+function flight(pos, reportedAtMs, { flightId = FLIGHT_ID, pilotState = 0 } = {}) {
+  return {
+    username: PILOT.username,
+    callsign: PILOT.callsign,
+    latitude: pos.lat,
+    longitude: pos.lon,
+    altitude: pos.alt,
+    speed: pos.gs,
+    verticalSpeed: pos.vs,
+    track: pos.trk,
+    heading: pos.trk,
+    lastReport: new Date(reportedAtMs).toISOString(),
+    flightId,
+    userId: PILOT.userId,
+    aircraftId: PILOT.aircraftId,
+    liveryId: PILOT.liveryId,
+    virtualOrganization: null,
+    pilotState,
+    isConnected: true,
+  };
+}
+
+/**
+ * An /atc entry: a controller on `type` (1 = Tower, ...) at `icao`.
+ */
+function facility(icao, type, startMs, frequencyId) {
+  return {
+    frequencyId,
+    userId: 'a7c0e1d2-0000-4000-8000-00000000c0de',
+    username: 'TestController',
+    virtualOrganization: null,
+    airportName: icao,
+    type,
+    latitude: 0,
+    longitude: 0,
+    startTime: new Date(startMs).toISOString(),
+  };
+}
+
+/**
+ * Turns frames into a scenario. A frame is { note, at, flightId, atc, errors }: `at` is a
+ * position from AT (or null while the pilot is offline), `atc` the open facilities as
+ * [icao, type] pairs, `errors` scripted failures.
+ */
+function build(name, frames, { start = Date.parse('2026-03-01T12:00:00Z'), stepMs = 30000 } = {}) {
+  return {
+    name,
+    sessions: SESSIONS,
+    users: [{ userId: PILOT.userId, discourseUsername: PILOT.username, errorCode: 0 }],
+    plans: PLANS,
+    steps: frames.map((frame, i) => ({
+      note: frame.note,
+      flights: frame.at ? [flight(frame.at, start + i * stepMs, { flightId: frame.flightId })] : [],
+      atc: (frame.atc || []).map(([icao, type]) => facility(icao, type, start, `freq-${icao}-${type}`)),
+      errors: frame.errors,
+    })),
+  };
+}
+
+// Spawns at the gate, rolls and climbs out of KSFO.
+const takeoff = (opts) => build('takeoff', [
+  { note: 'parked at the gate', at: AT.gateKsfo },
+  { note: 'takeoff roll', at: AT.rollKsfo },
+  { note: 'liftoff', at: AT.liftoff },
+  { note: 'climbing out', at: AT.climb },
+], opts);
+
+// Descends into KLAX, lands on 25L, slows down and leaves the session.
+const landing = (opts) => build('landing', [
+  { note: 'cruise', at: AT.cruise2 },
+  { note: 'descent', at: AT.descent },
+  { note: 'approach', at: AT.approach },
+  { note: 'short final', at: AT.final },
+  { note: 'touchdown', at: AT.touchdown },
+  { note: 'rollout', at: AT.rollout },
+  { note: 'left the session', at: null },
+], opts);
+
+// Same flight, but the route endpoint has nothing once the flight is gone.
+const landingWithoutRoute = (opts) => {
+  const scenario = landing(opts);
+  scenario.name = 'landingWithoutRoute';
+  scenario.steps[scenario.steps.length - 1].errors = { route: { errorCode: 6 } };
+  return scenario;
+};
+
+// Drops out at cruise altitude, then rejoins with a new flightId and lands at KLAX.
+const midAirDisconnect = (opts) => build('midAirDisconnect', [
+  { note: 'cruise', at: AT.cruise1 },
+  { note: 'cruise', at: AT.cruise2 },
+  { note: 'connection lost', at: null },
+  { note: 'still gone', at: null },
+  { note: 'rejoined', at: AT.cruise2, flightId: RECONNECT_FLIGHT_ID },
+  { note: 'descent', at: AT.descent, flightId: RECONNECT_FLIGHT_ID },
+  { note: 'approach', at: AT.approach, flightId: RECONNECT_FLIGHT_ID },
+  { note: 'touchdown', at: AT.touchdown, flightId: RECONNECT_FLIGHT_ID },
+  { note: 'rollout', at: AT.rollout, flightId: RECONNECT_FLIGHT_ID },
+  { note: 'left the session', at: null },
+], opts);
+
+// The pilot never shows up.
+const timeout = (opts) => build('timeout', [
+  { note: 'never connects', at: null },
+], opts);
+
+// IF errorCode payloads and HTTP failures, an outage that trips the breaker and a long Retry-After.
+const apiErrors = (opts) => build('apiErrors', [
+  { note: 'flights: EndpointError', at: AT.cruise1, errors: { flights: { errorCode: 3 } } },
+  { note: 'healthy', at: AT.cruise1 },
+  { note: 'flights: NotAuthorized', at: AT.cruise2, errors: { flights: { errorCode: 4 } } },
+  { note: 'sessions: 503', at: AT.cruise2, errors: { sessions: { status: 503 } } },
+  { note: 'healthy, breaker still open', at: AT.descent },
+  { note: 'healthy after the cooldown', at: AT.descent },
+  { note: 'flights: 429, Retry-After 90s', at: AT.descent, errors: { flights: { status: 429, retryAfter: 90 } } },
+  { note: 'healthy, Retry-After not over', at: AT.descent },
+  { note: 'healthy after Retry-After', at: AT.approach },
+], opts);
+
+// Every IF errorCode, then HTTP failures, on every endpoint the routes proxy.
+const ROUTE_FAILURES = [1, 2, 3, 4, 5, 6, 7].map(errorCode => ({ errorCode })).concat([{ status: 503 }, { status: 429 }]);
+const routeErrors = (opts) => build('routeErrors', ROUTE_FAILURES.map(failure => {
+  const endpoints = ['flights', 'flightplan', 'route', 'atc', 'notams'];
+  return {
+    note: failure.errorCode ? `errorCode ${failure.errorCode}` : `HTTP ${failure.status}`,
+    at: AT.cruise1,
+    errors: Object.fromEntries(endpoints.map(endpoint => [endpoint, failure])),
+  };
+}), opts);
+
+// The webhook receiver fails while the pilot sits at the gate, then recovers.
+const webhookFailures = (opts) => build('webhookFailures', [
+  { note: 'receiver down', at: AT.gateKsfo, errors: { callbacks: { status: 500 } } },
+  { note: 'receiver back', at: AT.gateKsfo },
+], opts);
+
+// KLAX tower opens and closes; the pilot never connects.
+const atcWatch = (opts) => build('atcWatch', [
+  { note: 'no ATC', at: null },
+  { note: 'KLAX tower and KSFO ground open', at: null, atc: [['KLAX', 1], ['KSFO', 0]] },
+  { note: 'KLAX tower closed', at: null, atc: [['KSFO', 0]] },
+], opts);
+
+// The flights fetch fails once while a VA rule's server is due for a scan.
+const vaFlightsOutage = (opts) => build('vaFlightsOutage', [
+  { note: 'flights: 503', at: AT.gateKsfo, errors: { flights: { status: 503 } } },
+  { note: 'healthy', at: AT.gateKsfo },
+], opts);
+
+module.exports = {
+  scenarios: {
+    takeoff,
+    landing,
+    landingWithoutRoute,
+    midAirDisconnect,
+    timeout,
+    apiErrors,
+    routeErrors,
+    webhookFailures,
+    atcWatch,
+    vaFlightsOutage,
+  },
+  PILOT,
+  SESSION_ID,
+  FLIGHT_ID,
+  RECONNECT_FLIGHT_ID,
+};
@@ -0,0 +1,46 @@
+// test/takeoff.test.cjs
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers.cjs');
+const { scenarios, PILOT, FLIGHT_ID } = require('./scenarios.cjs');
+
+let h;
+let trackerId;
+before(async () => { h = await startHarness(scenarios.takeoff); });
+after(() => h.stop());
+
+test('locks onto the flight and follows it from the gate into the climb', async () => {
+  const [started] = await h.startTracking({ username: PILOT.username, callbackUrl: h.callbackUrl, phaseCallbacks: true });
+  assert.equal(started.status, 'searching');
+  trackerId = started.id;
+
+  await h.playAll();
+
+  const t = await h.getTracker(trackerId);
+  assert.equal(t.status, 'tracking');
+  assert.equal(t.userId, PILOT.userId);
+  assert.equal(t.lastKnownFlight.flightId, FLIGHT_ID);
+  assert.deepEqual(t.plannedRoute, { origin: 'KSFO', destination: 'KLAX' });
+  assert.deepEqual(
+    t.history.filter(e => e.event === 'phase').map(e => e.phase),
+    ['taxi', 'takeoff', 'climb'],
+  );
+  assert.equal(t.history.find(e => e.phase === 'takeoff').departureRunway, '28R');
+  assert.equal(t.runways.departure.runway, '28R');
+  assert.equal(t.history.filter(e => e.event === 'online').length, 1);
+  assert.ok(t.history.some(e => e.event === 'user_resolved'));
+});
+
+test('records one breadcrumb per position report', async () => {
+  const { body } = await h.request('GET', `/track/${trackerId}/trail`);
+  assert.equal(body.count, h.mock.scenario.steps.length);
+  assert.equal(body.points[body.points.length - 1].altitude, 6000);
+});
+
+test('sends the online and phase callbacks', async () => {
+  const online = await h.waitForCallback(c => c.reason === 'user_online');
+  assert.equal(online.flight.flightId, FLIGHT_ID);
+  const takeoff = await h.waitForCallback(c => c.reason === 'phase_change' && c.phase === 'takeoff');
+  assert.equal(takeoff.departureRunway, '28R');
+  await h.waitForCallback(c => c.reason === 'phase_change' && c.phase === 'climb');
+});
@@ -0,0 +1,52 @@
+// test/timeout.test.cjs
+const fs = require('fs');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers.cjs');
+const { scenarios, PILOT } = require('./scenarios.cjs');
+
+const MINUTE = 60 * 1000;
+
+let h;
+let trackerId;
+before(async () => {
+  h = await startHarness(scenarios.timeout, {
+    SEARCH_TIMEOUT_MS: String(60 * MINUTE),
+    TRACKER_RETENTION_MS: String(24 * 60 * MINUTE),
+  });
+});
+after(() => h.stop());
+
+test('keeps searching with a growing interval until the timeout', async () => {
+  const [started] = await h.startTracking({ username: PILOT.username, callbackUrl: h.callbackUrl });
+  trackerId = started.id;
+
+  await h.clock.advance(59 * MINUTE);
+
+  const t = await h.getTracker(trackerId);
+  assert.equal(t.status, 'searching');
+  // Every 2 minutes for the first 15, then every 15 minutes.
+  assert.equal(h.mock.requestsTo('flights').length, 11);
+});
+
+test('gives up after SEARCH_TIMEOUT_MS', async () => {
+  await h.clock.advance(16 * MINUTE);
+
+  const t = await h.getTracker(trackerId);
+  assert.equal(t.status, 'not_found');
+  await h.waitForCallback(c => c.reason === 'timeout_1h');
+});
+
+test('drops the finished tracker from memory and the store after TRACKER_RETENTION_MS', async () => {
+  const { finishedAt } = await h.getTracker(trackerId);
+  await h.clock.advance(Date.parse(finishedAt) + 23 * 60 * MINUTE - h.clock.now());
+  assert.equal((await h.request('GET', `/track/${trackerId}`)).status, 200);
+
+  await h.clock.advance(2 * 60 * MINUTE);
+  assert.equal((await h.request('GET', `/track/${trackerId}`)).status, 404);
+  const stored = await h.waitUntil(() => {
+    const { trackers } = JSON.parse(fs.readFileSync(process.env.TRACKER_STORE_FILE, 'utf8'));
+    return trackers.every(t => t.id !== trackerId) && trackers;
+  }, { what: 'the store without the tracker' });
+  assert.deepEqual(stored, []);
+});
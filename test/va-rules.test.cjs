@@ -0,0 +1,35 @@
+// test/va-rules.test.cjs
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers.cjs');
+const { scenarios, PILOT } = require('./scenarios.cjs');
+
+const TICK_MS = 5000; // the engine's tick with the test poll intervals
+
+let h;
+let rule;
+before(async () => { h = await startHarness(scenarios.vaFlightsOutage, { IF_BREAKER_THRESHOLD: '1000' }); });
+after(() => h.stop());
+
+const vaTrackers = async () => (await h.request('GET', '/track/active')).body.trackers;
+
+test('creates a rule with a callsign pattern and rejects an invalid one', async () => {
+  const created = await h.request('POST', '/va-rules', { name: 'Test VA', callsignRegex: '^test \\d+ heavy$' });
+  assert.equal(created.status, 201);
+  rule = created.body.rule;
+  assert.equal((await h.request('POST', '/va-rules', { name: 'broken', callsignRegex: '(' })).status, 400);
+});
+
+test('scans the server again on the next tick after a failed flights fetch', async () => {
+  h.mock.setStep(0);
+  await h.clock.advance(TICK_MS);
+  assert.ok(h.mock.requestsTo('flights', 0).length >= 1);
+  assert.deepEqual(await vaTrackers(), []);
+
+  h.mock.setStep(1);
+  await h.clock.advance(TICK_MS);
+  const [t] = await vaTrackers();
+  assert.equal(t.username, PILOT.username);
+  const { body } = await h.request('GET', `/track/${t.id}`);
+  assert.equal(body.tracker.source.ruleId, rule.id);
+});
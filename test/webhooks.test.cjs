@@ -0,0 +1,70 @@
+// test/webhooks.test.cjs
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers.cjs');
+const { scenarios, PILOT } = require('./scenarios.cjs');
+
+const TICK_MS = 5000; // the engine's delivery retry tick
+
+let h;
+let trackerId;
+before(async () => { h = await startHarness(scenarios.webhookFailures, { WEBHOOK_MAX_ATTEMPTS: '3' }); });
+after(() => h.stop());
+
+async function getDelivery(event) {
+  const { body } = await h.request('GET', `/track/${trackerId}/deliveries`);
+  return body.deliveries.find(d => d.event === event);
+}
+
+// An attempt has finished once the delivery is done or has its next retry scheduled.
+function waitForAttempt(event, attempts) {
+  return h.waitUntil(async () => {
+    const d = await getDelivery(event);
+    const settled = d && (d.status !== 'pending' || Date.parse(d.nextAttemptAt) > Date.parse(d.lastAttemptAt));
+    return d && d.attempts === attempts && settled ? d : null;
+  }, { what: `${event} attempt ${attempts}` });
+}
+
+test('retries failed deliveries and dead-letters them after WEBHOOK_MAX_ATTEMPTS', async () => {
+  const [started] = await h.startTracking({ username: PILOT.username, callbackUrl: h.callbackUrl });
+  trackerId = started.id;
+  await waitForAttempt('tracker_created', 1);
+
+  // The first poll finds the pilot; the creation callback is retried on the same tick.
+  await h.clock.advance(TICK_MS);
+  await waitForAttempt('tracker_created', 2);
+  await waitForAttempt('user_online', 1);
+
+  await h.clock.advance(TICK_MS);
+  const created = await waitForAttempt('tracker_created', 3);
+  assert.equal(created.status, 'dead_letter');
+  assert.equal(created.lastStatusCode, 500);
+  assert.equal((await waitForAttempt('user_online', 2)).status, 'pending');
+
+  const { body } = await h.request('GET', '/deliveries/dead-letter');
+  assert.deepEqual(body.deliveries.map(d => [d.trackerId, d.event]), [[trackerId, 'tracker_created']]);
+  assert.equal(h.mock.callbacks.length, 0);
+  assert.equal(h.mock.rejectedCallbacks.length, 5);
+});
+
+test('delivers on a retry once the receiver recovers', async () => {
+  h.mock.setStep(1);
+  await h.clock.advance(TICK_MS);
+  const online = await waitForAttempt('user_online', 3);
+  assert.equal(online.status, 'delivered');
+  assert.equal(online.lastStatusCode, 200);
+  const received = await h.waitForCallback(c => c.reason === 'user_online');
+  assert.equal(received.deliveryId, online.id);
+});
+
+test('redelivers a dead-lettered callback under a new delivery id', async () => {
+  const original = await getDelivery('tracker_created');
+  const { status, body } = await h.request('POST', `/track/${trackerId}/deliveries/${original.id}/redeliver`);
+  assert.equal(status, 200);
+  assert.equal(body.delivery.redeliveryOf, original.id);
+  assert.notEqual(body.delivery.id, original.id);
+
+  const received = await h.waitForCallback(c => c.deliveryId === body.delivery.id);
+  assert.equal(received.trackerId, trackerId);
+  assert.equal(received.reason, undefined);
+});